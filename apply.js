@@ -1,3 +1,9 @@
-export default function applyDisplayName(target, name) {
+'use strict';
+
+Object.defineProperty(exports, '__esModule', { value: true });
+
+function applyDisplayName(target, name) {
   target.displayName = name;
 }
+
+exports.default = applyDisplayName;
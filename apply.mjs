@@ -0,0 +1,3 @@
+export default function applyDisplayName(target, name) {
+  target.displayName = name;
+}
@@ -1,5 +1,8 @@
+const nodePath = require('path');
+const picomatch = require('picomatch');
 const { declare } = require('@babel/helper-plugin-utils');
 const { default: annotateAsPure } = require('@babel/helper-annotate-as-pure');
+const { addDefault } = require('@babel/helper-module-imports');
 
 // remember to set `cacheDirectory` to `false` when modifying this plugin
 
@@ -7,13 +10,98 @@ const DEFAULT_ALLOWED_CALLEES = {
   react: ['createContext', 'forwardRef', 'memo'],
 };
 
-const calleeModuleMapping = new Map(); // Mapping of callee name to module name
-const seenDisplayNames = new Set();
+// Named sets of allowed callees for popular libraries, enabled through the `presets` option
+const ALLOWED_CALLEES_PRESETS = {
+  'mobx-react': {
+    'mobx-react': ['observer', 'inject'],
+    'mobx-react-lite': ['observer'],
+  },
+  'react-redux': {
+    'react-redux': ['connect'],
+  },
+  'styled-components': {
+    'styled-components': ['default', 'createGlobalStyle'],
+  },
+  '@emotion/styled': {
+    '@emotion/styled': ['default'],
+  },
+  'preact/compat': {
+    preact: ['createContext'],
+    'preact/compat': ['createContext', 'forwardRef', 'memo'],
+  },
+  'react-fela': {
+    'react-fela': ['createComponent', 'createComponentWithProxy'],
+  },
+};
+
+// Allowed callees returning the wrapper of a component, e.g. `connect(mapState)(Component)`
+const CURRIED_CALLEES = {
+  'mobx-react': ['inject'],
+  'react-redux': ['connect'],
+};
+
+const CLASS_COMPONENT_MODULES = ['react', 'preact', 'preact/compat'];
+
+const CLASS_COMPONENT_NAMES = ['Component', 'PureComponent'];
+
+// Components of a context also named with the `contextMembers` option
+const CONTEXT_MEMBERS = ['Provider', 'Consumer'];
+
+const DEFAULT_JSX_FACTORIES = ['createElement'];
+
+const DEFAULT_JSX_RUNTIME_MODULES = ['react/jsx-runtime', 'react/jsx-dev-runtime'];
+
+// Type annotations marking a function as a component, e.g. `const Card: React.FC<Props> = ...`
+const FUNCTION_COMPONENT_TYPES = ['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent'];
+
+// Expressions wrapping another one without changing its value, e.g. `(Component as typeof X)`
+const TRANSPARENT_EXPRESSION_TYPES = [
+  'ParenthesizedExpression',
+  'TSAsExpression',
+  'TSSatisfiesExpression',
+  'TSNonNullExpression',
+  'TSTypeAssertion',
+];
+
+// Forms of the generated displayName statement, see `createDisplayNameStatement`
+const OUTPUTS = ['Object.assign', 'assignment', 'Object.defineProperty'];
+
+const DEFAULT_DATA_ATTRIBUTE = 'data-component';
+
+// Handling of fragments returned by components with the `dataAttribute` option
+const DATA_ATTRIBUTE_FRAGMENTS = ['skip', 'descend'];
+
+const DEFAULT_HELPER_SOURCE = '@probablyup/babel-plugin-react-displayname/apply';
+
+// Comment directives, e.g. `/* @displayName Checkout.Card */`
+const NAME_DIRECTIVE_REGEX = /(?:^|\s)@displayName\s+(\S+)/;
+const SKIP_DIRECTIVE_REGEX = /(?:^|\s)@no-displayname(?:\s|$)/;
+const FILE_DIRECTIVE_REGEX = /(?:^|\s)@no-displayname-file(?:\s|$)/;
+
+// Callees whose function arguments are not components, e.g. `useMemo(() => <Element />)`
+const DEFAULT_IGNORED_CALLEES = ['_*', 'use*', 'React.use*'];
 
-function applyAllowedCallees(mapping) {
-  Object.entries(mapping).forEach(([moduleName, methodNames]) => {
+// Interop helpers wrapping `require()` calls compiled by Babel, e.g. `_interopRequireDefault`
+const INTEROP_REQUIRE_REGEX = /^_interopRequire(?:Default|Wildcard)\d*$/;
+
+const DEFAULT_GUARD = 'process.env.NODE_ENV !== "production"';
+
+// Matches `%s` and `[token]` placeholders, optionally escaped with a backslash
+const TEMPLATE_TOKEN_REGEX = /\\?(?:%s|\[(name|file|dir|relativePath)\])/g;
+
+/**
+ * Adds the callees of an `allowedCallees` style object to the mapping.
+ *
+ * @param {Map<string, Set<string>>} calleeModuleMapping mapping of callee name to module names
+ * @param {Object.<string, string[]>} allowedCallees module names mapped to their callee names
+ */
+function applyAllowedCallees(calleeModuleMapping, allowedCallees) {
+  Object.entries(allowedCallees).forEach(([moduleName, methodNames]) => {
     methodNames.forEach((methodName) => {
-      calleeModuleMapping.set(methodName, moduleName);
+      if (!calleeModuleMapping.has(methodName)) {
+        calleeModuleMapping.set(methodName, new Set());
+      }
+      calleeModuleMapping.get(methodName).add(moduleName);
     });
   });
 }
@@ -21,39 +109,195 @@ function applyAllowedCallees(mapping) {
 module.exports = declare((api, options) => {
   api.assertVersion(7);
 
-  calleeModuleMapping.clear();
+  // Mapping of callee name to module names, owned by this plugin instance
+  // so that differently configured instances don't affect each other
+  const calleeModuleMapping = new Map();
+
+  applyAllowedCallees(calleeModuleMapping, DEFAULT_ALLOWED_CALLEES);
+
+  if (options.presets) {
+    options.presets.forEach((presetName) => {
+      const preset = ALLOWED_CALLEES_PRESETS[presetName];
+      if (!preset) {
+        throw new Error(
+          `Unknown preset "${presetName}", expected one of: ${Object.keys(
+            ALLOWED_CALLEES_PRESETS
+          ).join(', ')}`
+        );
+      }
+      applyAllowedCallees(calleeModuleMapping, preset);
+    });
+  }
 
-  applyAllowedCallees(DEFAULT_ALLOWED_CALLEES);
+  // Mapping of the callees allowed by the user, whose results can be destructured
+  // into several components, e.g. context factories
+  const factoryModuleMapping = new Map();
 
   if (options.allowedCallees) {
-    applyAllowedCallees(options.allowedCallees);
+    applyAllowedCallees(calleeModuleMapping, options.allowedCallees);
+    applyAllowedCallees(factoryModuleMapping, options.allowedCallees);
+  }
+
+  if (options.output && !OUTPUTS.includes(options.output)) {
+    throw new Error(`Unknown output "${options.output}", expected one of: ${OUTPUTS.join(', ')}`);
+  }
+
+  // the helper decides how the displayName is set
+  if (options.output && options.helper && !options.strip) {
+    throw new Error('The "output" option can\'t be used with the "helper" option');
+  }
+
+  if (
+    options.dataAttributeFragments &&
+    !DATA_ATTRIBUTE_FRAGMENTS.includes(options.dataAttributeFragments)
+  ) {
+    throw new Error(
+      `Unknown dataAttributeFragments "${
+        options.dataAttributeFragments
+      }", expected one of: ${DATA_ATTRIBUTE_FRAGMENTS.join(', ')}`
+    );
   }
 
   const types = api.types;
 
+  // skip the whole transform for the listed Babel environments, e.g. `production`
+  if (options.omitEnvs && api.env(options.omitEnvs)) {
+    return {
+      name: '@probablyup/babel-plugin-react-displayname',
+      pre() {
+        // keep the shape of the metadata stable, with no component reported
+        this.file.metadata.reactDisplayNames = [];
+      },
+      visitor: {},
+    };
+  }
+
+  const jsxFactories = new Set(options.jsxFactories || DEFAULT_JSX_FACTORIES);
+  const jsxRuntimeModules = new Set(options.jsxRuntimeModules || DEFAULT_JSX_RUNTIME_MODULES);
+
+  if (options.strip) {
+    const helperSource =
+      typeof options.helper === 'string' ? options.helper : DEFAULT_HELPER_SOURCE;
+
+    return {
+      name: '@probablyup/babel-plugin-react-displayname',
+      pre() {
+        // needed to recognize the components whose display names are stripped
+        this.calleeModuleMapping = calleeModuleMapping;
+        this.jsxFactories = jsxFactories;
+        this.jsxRuntimeModules = jsxRuntimeModules;
+        // no display name is generated, so no component is reported
+        this.file.metadata.reactDisplayNames = [];
+      },
+      visitor: {
+        ExpressionStatement(path, state) {
+          stripDisplayNameStatement(types, path, helperSource, state);
+        },
+        ClassProperty(path) {
+          if (
+            path.node.static &&
+            isDisplayNameKey(types, path.node.key, path.node.computed) &&
+            isClassComponent(types, path.parentPath.parentPath)
+          ) {
+            path.remove();
+          }
+        },
+      },
+    };
+  }
+
+  // Mapping of display name to the file it was first produced in, shared by all files
+  // transformed by this plugin instance to detect collisions
+  const displayNameFiles = new Map();
+
+  const fileFilter = createFileFilter(options);
+  const nameFilter = createNameFilter(options);
+  const isIgnoredCallee = createCalleeFilter(options);
+
+  const guardExpression = options.guard
+    ? api.template.expression.ast(options.guard === true ? DEFAULT_GUARD : options.guard)
+    : null;
+
   return {
     name: '@probablyup/babel-plugin-react-displayname',
+    pre() {
+      this.calleeModuleMapping = calleeModuleMapping;
+      this.factoryModuleMapping = factoryModuleMapping;
+      this.displayNameFiles = displayNameFiles;
+      this.jsxFactories = jsxFactories;
+      this.jsxRuntimeModules = jsxRuntimeModules;
+      this.guardExpression = guardExpression;
+      this.nameFilter = nameFilter;
+      this.isIgnoredCallee = isIgnoredCallee;
+      this.isFileExcluded = !fileFilter(this) || hasFileDirective(this.file.ast);
+      // We allow duplicate names across files,
+      // so every file gets its own set
+      this.seenDisplayNames = new Set();
+      // nodes of the components that have been processed
+      this.componentNodes = new WeakSet();
+      // functions annotated as components, e.g. `const Card: React.FC = ...`
+      this.typedComponentNodes = new WeakSet();
+      this.file.metadata.reactDisplayNames = [];
+    },
     visitor: {
-      Program() {
-        // We allow duplicate names across files,
-        // so we clear when we're transforming on a new file
-        seenDisplayNames.clear();
-      },
-      'FunctionExpression|ArrowFunctionExpression|ObjectMethod': function (path) {
+      'FunctionExpression|ArrowFunctionExpression|ObjectMethod': function (path, state) {
+        if (state.isFileExcluded) return;
+
         // if the parent is a call expression, make sure it's an allowed one
+        // or that this is the target of `Object.assign()`
         if (
           path.parentPath && types.isCallExpression(path.parentPath.node)
-            ? isAllowedCallExpression(types, path.parentPath)
+            ? isAllowedCallExpression(types, path.parentPath, state) ||
+              (isObjectAssignCall(types, path.parentPath) && path.key === 0)
             : true
         ) {
-          if (doesReturnJSX(types, path.node.body)) {
-            addDisplayNamesToFunctionComponent(types, path, options);
+          if (state.typedComponentNodes.has(path.node) || doesReturnJSX(types, path, state)) {
+            addDisplayNamesToFunctionComponent(types, path, options, state);
+          }
+        }
+      },
+      VariableDeclarator(path, state) {
+        if (state.isFileExcluded) return;
+
+        // type annotations are removed by the TypeScript preset once the declarator is traversed,
+        // so they are recorded before its function is visited
+        if (hasFunctionComponentType(types, path.node.id)) {
+          const init = unwrapExpression(types, path.node.init);
+          if (types.isArrowFunctionExpression(init) || types.isFunctionExpression(init)) {
+            state.typedComponentNodes.add(init);
           }
         }
       },
-      CallExpression(path) {
-        if (isAllowedCallExpression(types, path)) {
-          addDisplayNamesToFunctionComponent(types, path, options);
+      ExportDefaultDeclaration(path, state) {
+        if (state.isFileExcluded) return;
+
+        // anonymous class components can't be named otherwise
+        if (
+          options.defaultExports ||
+          (options.classComponents && path.get('declaration').isClassDeclaration())
+        ) {
+          nameDefaultExport(types, path, options, state);
+        }
+      },
+      FunctionDeclaration(path, state) {
+        if (state.isFileExcluded) return;
+
+        if (options.functionDeclarations && doesReturnJSX(types, path, state)) {
+          addDisplayNamesToFunctionComponent(types, path, options, state);
+        }
+      },
+      'ClassDeclaration|ClassExpression': function (path, state) {
+        if (state.isFileExcluded) return;
+
+        if (options.classComponents && isClassComponent(types, path)) {
+          addDisplayNamesToFunctionComponent(types, path, options, state);
+        }
+      },
+      'CallExpression|TaggedTemplateExpression': function (path, state) {
+        if (state.isFileExcluded) return;
+
+        if (isAllowedCallExpression(types, path, state)) {
+          addDisplayNamesToFunctionComponent(types, path, options, state);
         }
       },
     },
@@ -61,218 +305,1757 @@ module.exports = declare((api, options) => {
 });
 
 /**
- * Checks if this function returns JSX nodes.
- * It does not do type-checking, which means calling
- * other functions that return JSX will still return `false`.
+ * Checks if this function returns JSX nodes.
+ * It does not do type-checking, which means calling
+ * other functions that return JSX will still return `false`.
+ *
+ * All return statements of the function are checked, including those nested
+ * in control flow statements, but not those of nested functions.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of function
+ * @param {PluginPass} state state of the current file
+ */
+function doesReturnJSX(types, path, state) {
+  const body = path.get('body');
+  if (!body.node) return false;
+
+  if (!body.isBlockStatement()) {
+    return isJSXExpression(types, body, state);
+  }
+
+  const hasJSXStatement = body
+    .get('body')
+    .some(
+      (statement) =>
+        statement.isExpressionStatement() &&
+        !statement.get('expression').isCallExpression() &&
+        isJSXExpression(types, statement.get('expression'), state)
+    );
+  if (hasJSXStatement) return true;
+
+  let returnsJSX = false;
+  body.traverse({
+    Function(functionPath) {
+      functionPath.skip();
+    },
+    ReturnStatement(returnPath) {
+      if (isJSXExpression(types, returnPath.get('argument'), state)) {
+        returnsJSX = true;
+        returnPath.stop();
+      }
+    },
+  });
+
+  return returnsJSX;
+}
+
+/**
+ * Returns the JSX elements and fragments this function returns, looking into
+ * conditional, logical and sequence expressions, but not into nested functions.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of function
+ */
+function getReturnedJSXPaths(types, path) {
+  const body = path.get('body');
+  const returnedPaths = [];
+
+  if (body.isBlockStatement()) {
+    body.traverse({
+      Function(functionPath) {
+        functionPath.skip();
+      },
+      ReturnStatement(returnPath) {
+        returnedPaths.push(returnPath.get('argument'));
+      },
+    });
+  } else {
+    returnedPaths.push(body);
+  }
+
+  const jsxPaths = [];
+  const collectJSXPaths = (expressionPath) => {
+    if (!expressionPath.node) return;
+
+    if (expressionPath.isConditionalExpression()) {
+      collectJSXPaths(expressionPath.get('consequent'));
+      collectJSXPaths(expressionPath.get('alternate'));
+    } else if (expressionPath.isLogicalExpression()) {
+      collectJSXPaths(expressionPath.get('left'));
+      collectJSXPaths(expressionPath.get('right'));
+    } else if (expressionPath.isSequenceExpression()) {
+      const expressions = expressionPath.get('expressions');
+      collectJSXPaths(expressions[expressions.length - 1]);
+    } else if (isTransparentExpression(types, expressionPath.node)) {
+      collectJSXPaths(expressionPath.get('expression'));
+    } else if (isJSX(types, expressionPath.node)) {
+      jsxPaths.push(expressionPath);
+    }
+  };
+  returnedPaths.forEach(collectJSXPaths);
+
+  return jsxPaths;
+}
+
+/**
+ * Checks if this expression evaluates to JSX nodes,
+ * looking into conditional, logical, sequence and array expressions.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of expression
+ * @param {PluginPass} state state of the current file
+ */
+function isJSXExpression(types, path, state) {
+  if (!path.node) return false;
+
+  if (path.isCallExpression()) {
+    return isJSXFactoryCall(types, path, state);
+  }
+
+  if (path.isConditionalExpression()) {
+    return (
+      isJSXExpression(types, path.get('consequent'), state) ||
+      isJSXExpression(types, path.get('alternate'), state)
+    );
+  }
+
+  if (path.isLogicalExpression()) {
+    return (
+      isJSXExpression(types, path.get('left'), state) ||
+      isJSXExpression(types, path.get('right'), state)
+    );
+  }
+
+  if (path.isSequenceExpression()) {
+    const expressions = path.get('expressions');
+    return isJSXExpression(types, expressions[expressions.length - 1], state);
+  }
+
+  if (isTransparentExpression(types, path.node)) {
+    return isJSXExpression(types, path.get('expression'), state);
+  }
+
+  if (path.isArrayExpression()) {
+    return path.get('elements').some((element) => isJSXExpression(types, element, state));
+  }
+
+  return isJSX(types, path.node);
+}
+
+/**
+ * Checks if this call creates JSX nodes, i.e. if it calls:
+ *  - one of the JSX factories, e.g. `React.createElement()` or `h()`
+ *  - an export of a JSX runtime module, e.g. `_jsx()` or `(0, _jsxRuntime.jsx)()`
+ *    for `react/jsx-runtime`
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of call expression
+ * @param {PluginPass} state state of the current file
+ */
+function isJSXFactoryCall(types, path, state) {
+  let callee = path.get('callee');
+
+  // (0, _jsxRuntime.jsx)() as compiled to CommonJS
+  if (callee.isSequenceExpression()) {
+    const expressions = callee.get('expressions');
+    callee = expressions[expressions.length - 1];
+  }
+
+  const calleeName = callee.isMemberExpression()
+    ? getPropertyName(types, callee.node.property, callee.node.computed)
+    : callee.node.name;
+  if (state.jsxFactories.has(calleeName)) {
+    return true;
+  }
+
+  const imported = resolveCalleeImport(types, callee);
+  return !!imported && state.jsxRuntimeModules.has(imported.moduleName);
+}
+
+/**
+ * Checks if this node is JSXElement or JSXFragment,
+ * which are the root nodes of react components.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node babel node
+ */
+function isJSX(types, node) {
+  return types.isJSXElement(node) || types.isJSXFragment(node);
+}
+
+/**
+ * Checks if this node only wraps another expression, i.e. parentheses
+ * or TypeScript expressions such as `as`, `satisfies` and `!`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node
+ */
+function isTransparentExpression(types, node) {
+  return TRANSPARENT_EXPRESSION_TYPES.some((type) => types.is(type, node));
+}
+
+/**
+ * Returns the expression wrapped by parentheses or TypeScript expressions,
+ * e.g. `Component` for `(Component as typeof X)!`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node
+ */
+function unwrapExpression(types, node) {
+  while (node && isTransparentExpression(types, node)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+/**
+ * Checks if this identifier is annotated with a function component type,
+ * e.g. `React.FC<Props>` or `FunctionComponent`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} id identifier of the variable declarator
+ */
+function hasFunctionComponentType(types, id) {
+  const annotation = id.typeAnnotation && id.typeAnnotation.typeAnnotation;
+  if (!types.isTSTypeReference(annotation)) {
+    return false;
+  }
+
+  const { typeName } = annotation;
+  const name = types.isTSQualifiedName(typeName) ? typeName.right.name : typeName.name;
+  return FUNCTION_COMPONENT_TYPES.includes(name);
+}
+
+/**
+ * Checks if this path is an `Object.assign()` call.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path
+ */
+function isObjectAssignCall(types, path) {
+  return (
+    path.isCallExpression() &&
+    types.matchesPattern(path.node.callee, 'Object.assign') &&
+    !path.scope.getBinding('Object')
+  );
+}
+
+/**
+ * Checks if this path is an allowed CallExpression or TaggedTemplateExpression.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of callee
+ * @param {PluginPass} state state of the current file
+ */
+function isAllowedCallExpression(types, path, state) {
+  const calleePath = path.isTaggedTemplateExpression() ? path.get('tag') : path.get('callee');
+
+  // Check if the callee is an allowed import, e.g. `memo` for `import { memo } from 'react'`
+  // or `React.memo` for `import React from 'react'`
+  const imported = resolveCalleeImport(types, calleePath);
+  if (isAllowedImport(state, imported)) {
+    // `connect(mapState)` is only the wrapper, unless it's called right away with the component
+    return !isCurriedImport(imported) || path.parentPath.isCallExpression({ callee: path.node });
+  }
+
+  // Allow wrappers returned by curried callees, e.g. `enhance(Component)`
+  // for `const enhance = connect(mapState)`
+  if (calleePath.isIdentifier()) {
+    const binding = calleePath.scope.getBinding(calleePath.node.name);
+    if (binding && binding.constant && binding.path.isVariableDeclarator()) {
+      const init = binding.path.get('init');
+      if (init.isCallExpression()) {
+        const wrapperImport = resolveCalleeImport(types, init.get('callee'));
+        if (isAllowedImport(state, wrapperImport) && isCurriedImport(wrapperImport)) {
+          return true;
+        }
+      }
+    }
+  }
+
+  // Otherwise, allow `default` entries to match anything built from a default import,
+  // e.g. `styled.div`, `styled(Button)` or `styled.div.attrs({})`
+  // for `import styled from 'styled-components'`
+  const rootImport = resolveImport(types, getCalleeRoot(calleePath));
+
+  return !!rootImport && rootImport.importName === 'default' && isAllowedImport(state, rootImport);
+}
+
+/**
+ * Checks if this import is listed in the allowed callees.
+ *
+ * @param {PluginPass} state state of the current file
+ * @param {?{ moduleName: string, importName: string }} imported resolved import
+ */
+function isAllowedImport(state, imported) {
+  if (!imported) {
+    return false;
+  }
+
+  const moduleNames = state.calleeModuleMapping.get(imported.importName);
+  return !!moduleNames && moduleNames.has(imported.moduleName);
+}
+
+/**
+ * Checks if this import returns the wrapper of a component when called,
+ * e.g. `connect` from `react-redux`.
+ *
+ * @param {{ moduleName: string, importName: string }} imported resolved import
+ */
+function isCurriedImport(imported) {
+  const importNames = CURRIED_CALLEES[imported.moduleName];
+  return !!importNames && importNames.includes(imported.importName);
+}
+
+/**
+ * Checks if this import is a factory allowed by the user, whose result can be destructured
+ * into several components, e.g. `const { Provider } = createStore()`. The callees of the
+ * plugin and of its presets wrap or create a single component, so they are left out.
+ *
+ * @param {PluginPass} state state of the current file
+ * @param {?{ moduleName: string, importName: string }} imported resolved import
+ */
+function isFactoryImport(state, imported) {
+  if (!imported) {
+    return false;
+  }
+
+  const moduleNames = state.factoryModuleMapping.get(imported.importName);
+  const isBuiltIn = [DEFAULT_ALLOWED_CALLEES, ...Object.values(ALLOWED_CALLEES_PRESETS)].some(
+    (allowedCallees) => (allowedCallees[imported.moduleName] || []).includes(imported.importName)
+  );
+
+  return !!moduleNames && moduleNames.has(imported.moduleName) && !isBuiltIn;
+}
+
+/**
+ * Resolves the module and export a callee refers to, e.g.
+ *  - `memo` for `import { memo } from 'react'` or `import { memo as m } from 'react'`
+ *  - `React.memo` for `import React from 'react'` or `import * as React from 'react'`
+ *  - `React.memo` for `const React = require('react')`
+ *  - `memo` for `const { memo } = React` or `const { memo } = require('react')`
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} calleePath path of callee
+ */
+function resolveCalleeImport(types, calleePath) {
+  if (calleePath.isIdentifier()) {
+    return resolveImport(types, calleePath);
+  }
+
+  if (calleePath.isMemberExpression()) {
+    const propertyName = getPropertyName(types, calleePath.node.property, calleePath.node.computed);
+    const object = resolveNamespaceImport(types, calleePath.get('object'));
+
+    return object && propertyName
+      ? { moduleName: object.moduleName, importName: propertyName }
+      : null;
+  }
+
+  return null;
+}
+
+/**
+ * Resolves the module and export an identifier is bound to,
+ * through imports, `require()` calls and destructuring of those.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of identifier
+ */
+function resolveImport(types, path) {
+  const namespaceImport = resolveNamespaceImport(types, path);
+  if (namespaceImport) {
+    return namespaceImport;
+  }
+
+  const binding = path.isIdentifier() && path.scope.getBinding(path.node.name);
+  if (!binding || binding.kind === 'module' || !binding.constant) {
+    return null;
+  }
+
+  // const { memo } = React;
+  // const { memo: m } = require('react');
+  const declarator = binding.path;
+  if (!declarator.isVariableDeclarator() || !declarator.get('id').isObjectPattern()) {
+    return null;
+  }
+
+  const property = declarator.node.id.properties.find(
+    (property) => types.isObjectProperty(property) && property.value === binding.identifier
+  );
+  const propertyName = property && getPropertyName(types, property.key, property.computed);
+  const object = propertyName && resolveNamespaceImport(types, declarator.get('init'));
+
+  return object ? { moduleName: object.moduleName, importName: propertyName } : null;
+}
+
+/**
+ * Resolves the module an identifier is bound to, if it is bound to an import
+ * or to the whole module through `require()`.
+ * Default and namespace imports are treated as the whole module,
+ * e.g. `import React from 'react'` and `const React = require('react')`.
+ * The CommonJS output of Babel is supported as well, e.g. `_react.default`
+ * for `var _react = _interopRequireDefault(require('react'))`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of identifier or `.default` member expression
+ */
+function resolveNamespaceImport(types, path) {
+  // const { memo } = require('react');
+  const requiredModuleName = getRequiredModuleName(types, path);
+  if (requiredModuleName) {
+    return { moduleName: requiredModuleName, importName: '*' };
+  }
+
+  // _react.default, as compiled by Babel from `import React from 'react'`
+  if (
+    path.isMemberExpression() &&
+    getPropertyName(types, path.node.property, path.node.computed) === 'default'
+  ) {
+    const object = resolveNamespaceImport(types, path.get('object'));
+    return object && object.importName === '*'
+      ? { moduleName: object.moduleName, importName: 'default' }
+      : null;
+  }
+
+  const binding = path.isIdentifier() && path.scope.getBinding(path.node.name);
+  if (!binding) {
+    return null;
+  }
+
+  const bindingPath = binding.path;
+
+  if (binding.kind === 'module') {
+    const moduleName = bindingPath.parent.source.value;
+
+    if (bindingPath.isImportDefaultSpecifier()) {
+      return { moduleName, importName: 'default' };
+    }
+
+    if (bindingPath.isImportNamespaceSpecifier()) {
+      return { moduleName, importName: '*' };
+    }
+
+    if (bindingPath.isImportSpecifier()) {
+      const imported = bindingPath.node.imported;
+      return { moduleName, importName: imported.name || imported.value };
+    }
+
+    return null;
+  }
+
+  // const React = require('react');
+  if (
+    binding.constant &&
+    bindingPath.isVariableDeclarator() &&
+    bindingPath.get('id').isIdentifier()
+  ) {
+    const init = bindingPath.get('init');
+    // const _applyDisplayName = _interopRequireDefault(require('module')).default;
+    if (init.isMemberExpression()) {
+      return resolveNamespaceImport(types, init);
+    }
+
+    const moduleName = getRequiredModuleName(types, init);
+    return moduleName ? { moduleName, importName: '*' } : null;
+  }
+
+  return null;
+}
+
+/**
+ * Returns the module name of a `require('module')` call, including when wrapped
+ * by the interop helpers of Babel, e.g. `_interopRequireDefault(require('module'))`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of a possible require call
+ */
+function getRequiredModuleName(types, path) {
+  if (!path.isCallExpression()) {
+    return null;
+  }
+
+  const { callee, arguments: args } = path.node;
+  if (types.isIdentifier(callee) && INTEROP_REQUIRE_REGEX.test(callee.name) && args.length > 0) {
+    return getRequiredModuleName(types, path.get('arguments.0'));
+  }
+
+  if (
+    !types.isIdentifier(callee, { name: 'require' }) ||
+    path.scope.hasBinding('require') ||
+    args.length !== 1 ||
+    !types.isStringLiteral(args[0])
+  ) {
+    return null;
+  }
+
+  return args[0].value;
+}
+
+/**
+ * Returns the name of a non-computed or string literal property key.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node property key node
+ * @param {boolean} computed whether the key is computed
+ */
+function getPropertyName(types, node, computed) {
+  if (!computed && types.isIdentifier(node)) {
+    return node.name;
+  }
+
+  return types.isStringLiteral(node) ? node.value : null;
+}
+
+/**
+ * Finds the innermost object or callee of a callee, e.g. `styled` for `styled(Button).attrs({})`.
+ *
+ * @param {Path} calleePath path of callee
+ */
+function getCalleeRoot(calleePath) {
+  let root = calleePath;
+  while (root.isMemberExpression() || root.isCallExpression()) {
+    root = root.isMemberExpression() ? root.get('object') : root.get('callee');
+  }
+
+  return root;
+}
+
+/**
+ * Adds displayName to the function component if it is:
+ *  - assigned to a variable or object path
+ *  - not within other JSX elements
+ *  - not called by a react hook or _createClass helper
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of function, class or call
+ * @param {Object} options
+ * @param {PluginPass} state state of the current file
+ */
+function addDisplayNamesToFunctionComponent(types, path, options, state) {
+  const componentIdentifiers = [];
+  if (path.node.key) {
+    componentIdentifiers.push({ id: path.node.key });
+  }
+
+  let assignmentPath;
+  let calleePath;
+  let hasCallee = false;
+  let hasObjectProperty = false;
+  let isWithinComponent = false;
+  // node of the previously visited path, to know which argument a call was reached from
+  let childNode = path.node;
+  // calls wrapping the component, from the innermost to the outermost
+  const wrapperPaths = [];
+
+  // function Component() {}
+  // class Component extends React.Component {}
+  if (path.isFunctionDeclaration() || path.isClassDeclaration()) {
+    if (path.node.id) {
+      componentIdentifiers.push({ id: path.node.id });
+      assignmentPath = path.parentPath.isExportDeclaration() ? path.parentPath : path;
+    }
+  }
+
+  const scopePath = path.scope.parent && path.scope.parent.path;
+  path.find((parentPath) => {
+    // declarations don't need to look any further
+    if (assignmentPath) {
+      return true;
+    }
+
+    // we've hit the scope, stop going further up
+    if (parentPath === scopePath) {
+      return true;
+    }
+
+    // this has already been named as part of a wrapping component,
+    // e.g. `() => <Element />` in `memo(() => <Element />)`
+    if (state.componentNodes.has(parentPath.node)) {
+      isWithinComponent = true;
+      return true;
+    }
+
+    // Ignore functions within jsx
+    if (isJSX(types, parentPath.node)) {
+      return true;
+    }
+
+    // compound components, the target and source properties are named after the result
+    // const Card = Object.assign(<Element />, { Header: <Element /> })
+    if (isObjectAssignCall(types, parentPath)) {
+      const [target, ...sources] = parentPath.node.arguments;
+      if (childNode === target || (hasObjectProperty && sources.includes(childNode))) {
+        childNode = parentPath.node;
+        return false;
+      }
+    }
+
+    if (parentPath.isCallExpression()) {
+      // Ignore immediately invoked function expressions (IIFEs)
+      const callee = parentPath.node.callee;
+      const unwrappedCallee = unwrapExpression(types, callee);
+      if (
+        types.isArrowFunctionExpression(unwrappedCallee) ||
+        types.isFunctionExpression(unwrappedCallee)
+      ) {
+        return true;
+      }
+
+      // Ignore instances where displayNames are disallowed
+      // _createClass(() => <Element />)
+      // useMemo(() => <Element />)
+      const calleeName = generateNodeDisplayName(types, callee);
+      if (calleeName && state.isIgnoredCallee(calleeName)) {
+        return true;
+      }
+
+      hasCallee = true;
+      calleePath = calleePath || parentPath.get('callee');
+      wrapperPaths.push(parentPath);
+    }
+
+    // styled.div``
+    if (parentPath.isTaggedTemplateExpression()) {
+      calleePath = calleePath || parentPath.get('tag');
+    }
+
+    // componentIdentifier = <Element />
+    if (parentPath.isAssignmentExpression()) {
+      assignmentPath = parentPath.parentPath;
+      componentIdentifiers.unshift({ id: parentPath.node.left });
+      return true;
+    }
+
+    // const componentIdentifier = <Element />
+    if (parentPath.isVariableDeclarator()) {
+      assignmentPath = parentPath.parentPath;
+      componentIdentifiers.unshift({ id: parentPath.node.id });
+      return true;
+    }
+
+    // if this is not a continuous object key: value pair, stop processing it
+    if (
+      hasObjectProperty &&
+      !(
+        parentPath.isObjectProperty() ||
+        parentPath.isObjectExpression() ||
+        isTransparentExpression(types, parentPath.node)
+      )
+    ) {
+      return true;
+    }
+
+    // { componentIdentifier: <Element /> }
+    if (parentPath.isObjectProperty()) {
+      hasObjectProperty = true;
+      const node = parentPath.node;
+      componentIdentifiers.unshift({ id: node.key, computed: node.computed });
+    }
+
+    childNode = parentPath.node;
+    return false;
+  });
+
+  if (isWithinComponent || !assignmentPath || componentIdentifiers.length === 0) {
+    return;
+  }
+
+  // don't process this component again for its wrapped functions
+  state.componentNodes.add(path.node);
+
+  // memo(forwardRef(() => <Element />))
+  let innerPath = path;
+  while (innerPath.isCallExpression() && innerPath.node.arguments.length > 0) {
+    innerPath = innerPath.get('arguments.0');
+    if (innerPath.isCallExpression()) {
+      wrapperPaths.unshift(innerPath);
+    }
+  }
+  const wrapper = {
+    calleePath,
+    hasCallee,
+    wrapperPaths,
+    innerPath,
+    isSingleComponent: !hasObjectProperty,
+  };
+
+  // const { Provider, useFeature } = createFeature()
+  // const [FeatureProvider, useFeature] = createFeature()
+  const { id } = componentIdentifiers[0];
+  if (types.isObjectPattern(id) || types.isArrayPattern(id)) {
+    // only results of calls can be destructured into components
+    if (!path.isCallExpression() && !path.isTaggedTemplateExpression()) {
+      return;
+    }
+
+    // wrappers like `memo` return a single component, only factories can be destructured
+    const factoryPath = path.isCallExpression() ? path.get('callee') : path.get('tag');
+    const factoryImport = resolveCalleeImport(types, factoryPath);
+    if (!isFactoryImport(state, factoryImport)) {
+      return;
+    }
+
+    // qualify the names with the factory not to name every `Provider` the same
+    const qualifier =
+      factoryImport && factoryImport.importName !== 'default'
+        ? factoryImport.importName
+        : generateNodeDisplayName(types, factoryPath.node);
+
+    const identifiers = Object.values(types.getBindingIdentifiers(id)).filter((identifier) =>
+      /^[A-Z]/.test(identifier.name)
+    );
+    identifiers.forEach((identifier) => {
+      addDisplayName(types, path, [{ id: identifier }], assignmentPath, options, state, {
+        ...wrapper,
+        qualifier,
+        isSingleComponent: identifiers.length === 1,
+      });
+    });
+    return;
+  }
+
+  addDisplayName(types, path, componentIdentifiers, assignmentPath, options, state, wrapper);
+}
+
+/**
+ * Adds displayName to a component found by `addDisplayNamesToFunctionComponent`,
+ * unless a directive, filter or existing assignment prevents it.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of function, class or call
+ * @param {componentIdentifier[]} componentIdentifiers list of { id, computed } objects
+ * @param {Path} assignmentPath path after which the displayName is assigned
+ * @param {Object} options
+ * @param {PluginPass} state state of the current file
+ * @param {Object} wrapper
+ * @param {?Path} wrapper.calleePath path of the callee wrapping or creating the component
+ * @param {boolean} wrapper.hasCallee whether the component is passed to a call
+ * @param {Path[]} wrapper.wrapperPaths calls wrapping the component, from the innermost
+ * @param {Path} wrapper.innerPath innermost argument of the wrapping calls, or the component
+ * @param {string} [wrapper.qualifier] name of the factory a destructured component comes from
+ * @param {boolean} wrapper.isSingleComponent whether the statement only declares this component
+ */
+function addDisplayName(
+  types,
+  path,
+  componentIdentifiers,
+  assignmentPath,
+  options,
+  state,
+  { calleePath, hasCallee, wrapperPaths, innerPath, qualifier, isSingleComponent }
+) {
+  const directive = getDirective(path, assignmentPath, isSingleComponent);
+
+  let name = generateDisplayName(types, componentIdentifiers);
+  const pattern = `${name}.displayName`;
+
+  if (qualifier) {
+    name = `${qualifier}.${name}`;
+  }
+
+  if (options.exportedNames) {
+    name = getExportedName(types, assignmentPath, componentIdentifiers, state) || name;
+  }
+  const isNameIncluded = !!directive.name || state.nameFilter(name);
+
+  if (directive.name) {
+    name = directive.name;
+  } else if (options.template) {
+    name = applyTemplate(options.template, name, state);
+  }
+
+  // name of the wrapped function, before the wrapper formats are applied
+  const innerName = name;
+  if (options.wrapperFormat && !directive.name) {
+    name = applyWrapperFormats(types, wrapperPaths, name, options.wrapperFormat);
+  }
+
+  const { seenDisplayNames } = state;
+  const component = createComponentMetadata(types, path, name, calleePath);
+
+  if (directive.skip) {
+    recordComponent(state, component, 'directive');
+    return;
+  }
+
+  if (!isNameIncluded) {
+    recordComponent(state, component, 'excluded');
+    return;
+  }
+
+  // disallow duplicate names if they were assigned in different scopes
+  if (seenDisplayNames.has(name) && !hasBeenAssignedPrev(types, assignmentPath, pattern, name)) {
+    recordComponent(state, component, 'duplicate');
+    return;
+  }
+
+  const isClass = path.isClass();
+
+  // skip unnecessary addition of name if it is reassigned later on
+  // or if the class already declares its name
+  if (
+    hasBeenAssignedNext(types, assignmentPath, pattern) ||
+    (isClass && hasStaticDisplayName(types, path))
+  ) {
+    recordComponent(state, component, 'assigned');
+    return;
+  }
+
+  if (options.collisions && state.filename) {
+    name = resolveCollision(path, name, options, state);
+    component.name = name;
+  }
+
+  // at this point we're ready to start pushing code
+
+  seenDisplayNames.add(name);
+  recordComponent(state, component, null);
+
+  if (options.dataAttribute) {
+    addDataAttributes(types, innerPath, innerName, options);
+  }
+
+  if (isClass && options.classComponents === 'static') {
+    path
+      .get('body')
+      .unshiftContainer(
+        'body',
+        setGeneratedLocation(
+          types,
+          types.classProperty(
+            types.identifier('displayName'),
+            types.stringLiteral(name),
+            null,
+            null,
+            false,
+            true
+          ),
+          path.node.loc
+        )
+      );
+    return;
+  }
+
+  // function names can't be guarded, so they are only set without the `guard`
+  const hasUnguardedCallee = hasCallee && !state.guardExpression;
+  if (hasUnguardedCallee && options.wrapperFormat) {
+    // name the wrapped function, which is then shown within the wrapper formats
+    if (innerPath.isFunctionExpression() || innerPath.isArrowFunctionExpression()) {
+      setInternalFunctionName(types, innerPath, innerName);
+    }
+  } else if (hasUnguardedCallee) {
+    // if we're getting called by some wrapper function,
+    // give this function a name
+    setInternalFunctionName(types, path, name);
+  }
+
+  const helperIdentifier = options.helper ? getHelperIdentifier(options, state) : null;
+
+  const displayNameStatements = [
+    createDisplayNameStatement(types, componentIdentifiers, name, helperIdentifier, options.output),
+  ];
+
+  if (options.contextMembers && component.kind === 'context') {
+    displayNameStatements.push(
+      createContextMembersStatement(types, componentIdentifiers, name, helperIdentifier, options)
+    );
+  }
+
+  // generated code is attributed to the component declaration in source maps
+  const { loc } = assignmentPath.node;
+
+  if (state.guardExpression) {
+    assignmentPath.insertAfter(
+      setGeneratedLocation(
+        types,
+        types.ifStatement(
+          types.cloneNode(state.guardExpression),
+          types.blockStatement(displayNameStatements)
+        ),
+        loc
+      )
+    );
+    return;
+  }
+
+  assignmentPath.insertAfter(
+    displayNameStatements.map((statement) => setGeneratedLocation(types, statement, loc))
+  );
+}
+
+/**
+ * Sets the location of this generated node and of its descendants without one.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node generated node
+ * @param {?Object} loc source location to attribute the node to
+ */
+function setGeneratedLocation(types, node, loc) {
+  if (loc) {
+    types.traverseFast(node, (child) => {
+      if (!child.loc) {
+        child.loc = loc;
+      }
+    });
+  }
+  return node;
+}
+
+/**
+ * Adds the `dataAttribute` with the name of the component to the host elements it returns,
+ * e.g. `<div data-component="Checkout.Card">`. Elements of other components are skipped,
+ * and so are fragments unless `dataAttributeFragments` is `descend`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of the function or class of the component
+ * @param {string} name display name of the component
+ * @param {Object} options
+ */
+function addDataAttributes(types, path, name, options) {
+  let functionPath = path;
+  if (path.isClass()) {
+    functionPath = path
+      .get('body.body')
+      .find(
+        (member) =>
+          member.isClassMethod({ kind: 'method', static: false }) &&
+          getPropertyName(types, member.node.key, member.node.computed) === 'render'
+      );
+  }
+  if (!functionPath || !functionPath.isFunction()) return;
+
+  const attributeName =
+    typeof options.dataAttribute === 'string' ? options.dataAttribute : DEFAULT_DATA_ATTRIBUTE;
+
+  getReturnedJSXPaths(types, functionPath).forEach((jsxPath) => {
+    addDataAttribute(types, jsxPath, attributeName, name, options.dataAttributeFragments);
+  });
+}
+
+/**
+ * Adds an attribute to this JSX element if it is a host element, e.g. `<div>`,
+ * and doesn't already have it. Fragments are descended into when `fragments` is `descend`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of JSX element or fragment
+ * @param {string} attributeName
+ * @param {string} value
+ * @param {string} [fragments] handling of fragments, one of `DATA_ATTRIBUTE_FRAGMENTS`
+ */
+function addDataAttribute(types, path, attributeName, value, fragments) {
+  if (path.isJSXFragment() || isFragmentElement(types, path.node)) {
+    if (fragments === 'descend') {
+      path
+        .get('children')
+        .filter((child) => isJSX(types, child.node))
+        .forEach((child) => addDataAttribute(types, child, attributeName, value, fragments));
+    }
+    return;
+  }
+
+  const { openingElement } = path.node;
+  const elementName = openingElement.name;
+  const isHostElement =
+    types.isJSXNamespacedName(elementName) ||
+    (types.isJSXIdentifier(elementName) && /^[a-z]/.test(elementName.name));
+  const hasAttribute = openingElement.attributes.some(
+    (attribute) =>
+      types.isJSXAttribute(attribute) &&
+      types.isJSXIdentifier(attribute.name, { name: attributeName })
+  );
+
+  if (isHostElement && !hasAttribute) {
+    // added first so that spread props can still override it
+    openingElement.attributes.unshift(
+      setGeneratedLocation(
+        types,
+        types.jsxAttribute(types.jsxIdentifier(attributeName), types.stringLiteral(value)),
+        openingElement.loc
+      )
+    );
+  }
+}
+
+/**
+ * Checks if this JSX element is a `<Fragment>` or `<React.Fragment>`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node
+ */
+function isFragmentElement(types, node) {
+  const elementName = node.openingElement.name;
+  return (
+    types.isJSXIdentifier(elementName, { name: 'Fragment' }) ||
+    (types.isJSXMemberExpression(elementName) &&
+      types.isJSXIdentifier(elementName.property, { name: 'Fragment' }))
+  );
+}
+
+/**
+ * Formats the name with the `wrapperFormat` of each wrapping call, from the innermost,
+ * e.g. `Memo(ForwardRef(Button))` for `memo(forwardRef(...))`.
+ * Formats are looked up by the imported name of the callee, e.g. `memo` for `React.memo`,
+ * then by the callee itself, e.g. `observer`. Calls without a format are left out.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path[]} wrapperPaths calls wrapping the component, from the innermost
+ * @param {string} name display name of the component
+ * @param {Object.<string, string>} wrapperFormat formats by callee name, e.g. `Memo(%s)`
+ */
+function applyWrapperFormats(types, wrapperPaths, name, wrapperFormat) {
+  return wrapperPaths.reduce((wrappedName, wrapperPath) => {
+    const calleePath = wrapperPath.get('callee');
+    const imported = resolveCalleeImport(types, calleePath);
+    const format = [
+      imported && imported.importName,
+      generateNodeDisplayName(types, calleePath.node),
+    ]
+      .filter(
+        (calleeName) =>
+          calleeName && Object.prototype.hasOwnProperty.call(wrapperFormat, calleeName)
+      )
+      .map((calleeName) => wrapperFormat[calleeName])[0];
+
+    return format ? format.replace('%s', wrappedName) : wrappedName;
+  }, name);
+}
+
+/**
+ * Generates the statement naming the `Provider` and `Consumer` of a context,
+ * e.g. `FeatureContext.Provider`. Each one is only named when the member is not
+ * the context itself, as with the `Provider` of React 19, not to rename the context,
+ * and doesn't define its own `displayName` yet, as the accessor of the `Consumer`
+ * in development builds of React 17 and 18 that can't be redefined.
+ * The checks are wrapped in a pure function call so that they can be tree-shaken.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {componentIdentifier[]} componentIdentifiers list of { id, computed } objects of the context
+ * @param {string} displayName name of the context
+ * @param {Identifier} [helperIdentifier] runtime helper to call instead of `Object.assign`
+ * @param {Object} options
+ */
+function createContextMembersStatement(
+  types,
+  componentIdentifiers,
+  displayName,
+  helperIdentifier,
+  options
+) {
+  const cloneIdentifiers = (identifiers) =>
+    identifiers.map(({ id, computed }) => ({ id: types.cloneNode(id), computed }));
+
+  const memberStatements = CONTEXT_MEMBERS.map((member) => {
+    const memberIdentifiers = [...componentIdentifiers, { id: types.identifier(member) }];
+
+    return types.ifStatement(
+      types.logicalExpression(
+        '&&',
+        types.binaryExpression(
+          '!==',
+          createMemberExpression(types, cloneIdentifiers(memberIdentifiers)),
+          createMemberExpression(types, cloneIdentifiers(componentIdentifiers))
+        ),
+        types.unaryExpression(
+          '!',
+          types.callExpression(
+            types.memberExpression(
+              types.identifier('Object'),
+              types.identifier('getOwnPropertyDescriptor')
+            ),
+            [
+              createMemberExpression(types, cloneIdentifiers(memberIdentifiers)),
+              types.stringLiteral('displayName'),
+            ]
+          )
+        )
+      ),
+      types.blockStatement([
+        createDisplayNameStatement(
+          types,
+          cloneIdentifiers(memberIdentifiers),
+          `${displayName}.${member}`,
+          helperIdentifier,
+          options.output
+        ),
+      ])
+    );
+  });
+
+  const expression = types.callExpression(
+    types.functionExpression(null, [], types.blockStatement(memberStatements)),
+    []
+  );
+  annotateAsPure(expression);
+
+  return types.expressionStatement(expression);
+}
+
+/**
+ * Checks if this display name was already produced in another file by this plugin instance,
+ * and warns, throws or qualifies the name with the path of the file depending on the option.
+ *
+ * @param {Path} path path of function, class or call
+ * @param {string} name display name of the component
+ * @param {Object} options
+ * @param {PluginPass} state state of the current file
+ */
+function resolveCollision(path, name, options, state) {
+  const { displayNameFiles, filename } = state;
+  const otherFilename = displayNameFiles.get(name);
+
+  if (!otherFilename) {
+    displayNameFiles.set(name, filename);
+    return name;
+  }
+
+  if (otherFilename === filename) {
+    return name;
+  }
+
+  const message = `Display name "${name}" is already used in ${otherFilename}`;
+
+  if (options.collisions === 'error') {
+    throw path.buildCodeFrameError(message);
+  }
+
+  if (options.collisions === 'qualify') {
+    return `${name} (${getFileTokens(state).relativePath})`;
+  }
+
+  console.warn(`[@probablyup/babel-plugin-react-displayname] ${filename}: ${message}`);
+  return name;
+}
+
+/**
+ * Finds the closest comment directive of a component, in the leading comments
+ * of the component and of its parents up to the statement it is assigned in:
+ *  - `@displayName Name` overrides the generated name, only on the statement
+ *    itself if it declares this component alone
+ *  - `@no-displayname` skips the component
+ *
+ * @param {Path} path path of function, class or call
+ * @param {Path} assignmentPath path where assignement will take place
+ * @param {boolean} isSingleComponent whether the statement only declares this component
+ */
+function getDirective(path, assignmentPath, isSingleComponent) {
+  const directive = { skip: false, name: null };
+  const lastPath = assignmentPath.parentPath.isExportDeclaration()
+    ? assignmentPath.parentPath
+    : assignmentPath;
+
+  path.find((parentPath) => {
+    const comments = parentPath.node.leadingComments || [];
+
+    // the closest comment wins
+    for (let i = comments.length - 1; i >= 0; i--) {
+      const comment = comments[i].value;
+
+      if (SKIP_DIRECTIVE_REGEX.test(comment)) {
+        directive.skip = true;
+        return true;
+      }
+
+      const match = comment.match(NAME_DIRECTIVE_REGEX);
+      const isStatement = parentPath === assignmentPath || parentPath === lastPath;
+      if (match && (isSingleComponent || !isStatement)) {
+        directive.name = match[1];
+        return true;
+      }
+    }
+
+    return parentPath === lastPath;
+  });
+
+  return directive;
+}
+
+/**
+ * Checks if any comment of the file disables the plugin with `@no-displayname-file`.
+ *
+ * @param {Node} ast file node
+ */
+function hasFileDirective(ast) {
+  return (ast.comments || []).some((comment) => FILE_DIRECTIVE_REGEX.test(comment.value));
+}
+
+/**
+ * Describes a component for the file metadata.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of function, class or call
+ * @param {string} name display name of the component
+ * @param {Path} [calleePath] path of the callee wrapping or creating the component
+ */
+function createComponentMetadata(types, path, name, calleePath) {
+  let kind = 'plain';
+  if (path.isClass()) {
+    kind = 'class';
+  } else if (calleePath) {
+    const imported = resolveCalleeImport(types, calleePath);
+    kind = imported && imported.importName === 'createContext' ? 'context' : 'wrapped';
+  }
+
+  const loc = path.node.loc;
+
+  return {
+    name,
+    kind,
+    callee: (calleePath && generateNodeDisplayName(types, calleePath.node)) || null,
+    loc: loc ? { line: loc.start.line, column: loc.start.column } : null,
+  };
+}
+
+/**
+ * Records a named or skipped component in the file metadata.
+ *
+ * @param {PluginPass} state state of the current file
+ * @param {Object} component component metadata
+ * @param {?string} skipReason why no displayName was added, `null` if it was
+ */
+function recordComponent(state, component, skipReason) {
+  state.file.metadata.reactDisplayNames.push({ ...component, skipReason });
+}
+
+/**
+ * Names an anonymous default export after the file, if it is a component:
+ *  - `export default function () {}` -> `export default function Button() {}`
+ *  - `export default class extends Component {}` -> `export default class Button extends ...`
+ *  - `export default () => {}` -> `const Button = () => {}; export default Button;`
+ *
+ * The named declarations are then picked up like any other component.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of export default declaration
+ * @param {Object} options
+ * @param {PluginPass} state state of the current file
+ */
+function nameDefaultExport(types, path, options, state) {
+  const declaration = path.get('declaration');
+
+  const isComponent =
+    ((declaration.isFunctionDeclaration() ||
+      declaration.isArrowFunctionExpression() ||
+      declaration.isFunctionExpression()) &&
+      doesReturnJSX(types, declaration, state)) ||
+    ((declaration.isCallExpression() || declaration.isTaggedTemplateExpression()) &&
+      isAllowedCallExpression(types, declaration, state)) ||
+    (declaration.isClassDeclaration() &&
+      options.classComponents &&
+      isClassComponent(types, declaration));
+
+  if (!isComponent || declaration.node.id) {
+    return;
+  }
+
+  const name = getDefaultExportName(types, state);
+
+  // don't shadow or redeclare existing bindings, nor globals the module refers to
+  if (
+    !name ||
+    path.scope.hasBinding(name) ||
+    path.scope.hasGlobal(name) ||
+    path.scope.hasReference(name)
+  ) {
+    return;
+  }
+
+  const id = types.identifier(name);
+
+  if (declaration.isFunctionDeclaration() || declaration.isClassDeclaration()) {
+    declaration.node.id = id;
+    path.scope.registerDeclaration(declaration);
+    addDisplayNamesToFunctionComponent(types, declaration, options, state);
+    return;
+  }
+
+  const [variableDeclaration] = path.replaceWithMultiple(
+    [
+      types.variableDeclaration('const', [types.variableDeclarator(id, declaration.node)]),
+      types.exportDefaultDeclaration(types.cloneNode(id)),
+    ].map((node) => setGeneratedLocation(types, node, path.node.loc))
+  );
+  path.scope.registerDeclaration(variableDeclaration);
+}
+
+/**
+ * Derives a PascalCase component name from the filename,
+ * using the directory name for `index` files.
+ * e.g. `payment-form.jsx` -> `PaymentForm`, `Checkout/index.jsx` -> `Checkout`
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {PluginPass} state state of the current file
+ */
+function getDefaultExportName(types, state) {
+  const { file, dir } = getFileTokens(state);
+  const basename = file === 'index' ? dir : file;
+  if (!basename) {
+    return null;
+  }
+
+  const identifier = types.toIdentifier(basename);
+  // e.g. `404.jsx` or `_app.jsx`
+  if (!/^[a-z]/i.test(identifier)) {
+    return null;
+  }
+
+  return identifier.charAt(0).toUpperCase() + identifier.slice(1);
+}
+
+/**
+ * Returns the name a module level component is exported under, if it only
+ * exports it under another name than its local one, e.g.:
+ *  - `export { Inner as Button }` -> `Button`
+ *  - `export default Inner` in `button.jsx` -> `Button`
+ *  - `Card.Header` with `export { Card as Box }` -> `Box.Header`
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} assignmentPath path where the displayName will be assigned
+ * @param {Object[]} componentIdentifiers identifiers of the component
+ * @param {PluginPass} state state of the current file
+ */
+function getExportedName(types, assignmentPath, componentIdentifiers, state) {
+  // `export const Button = ...` is already exported under its local name
+  if (assignmentPath.isExportDeclaration() || assignmentPath.parentPath.isExportDeclaration()) {
+    return null;
+  }
+
+  // root of compound components, e.g. `Card` of `Card.Header = ...`
+  let { id } = componentIdentifiers[0];
+  while (types.isMemberExpression(id)) {
+    id = id.object;
+  }
+  const binding = types.isIdentifier(id) && assignmentPath.scope.getBinding(id.name);
+  if (!binding || !binding.scope.path.isProgram()) {
+    return null;
+  }
+
+  const exportedNames = [];
+  binding.referencePaths.forEach((referencePath) => {
+    const { parentPath } = referencePath;
+    if (parentPath.isExportSpecifier() && referencePath.key === 'local') {
+      const { exported } = parentPath.node;
+      const exportedName = types.isIdentifier(exported) ? exported.name : exported.value;
+      exportedNames.push(
+        exportedName === 'default' ? getDefaultExportName(types, state) : exportedName
+      );
+    } else if (parentPath.isExportDefaultDeclaration()) {
+      exportedNames.push(getDefaultExportName(types, state));
+    }
+  });
+
+  const exportedName = exportedNames.find(Boolean);
+  if (!exportedName || exportedNames.includes(id.name)) {
+    return null;
+  }
+
+  // members of compound components are named after the exported root
+  return exportedName + generateDisplayName(types, componentIdentifiers).slice(id.name.length);
+}
+
+/**
+ * Checks if this class extends `Component` or `PureComponent` from React or Preact,
+ * e.g. `class extends React.Component {}` or `class extends PureComponent {}`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of class
+ */
+function isClassComponent(types, path) {
+  const superClass = path.get('superClass');
+  if (!superClass.node) return false;
+
+  const imported = resolveCalleeImport(types, superClass);
+  return (
+    !!imported &&
+    CLASS_COMPONENT_MODULES.includes(imported.moduleName) &&
+    CLASS_COMPONENT_NAMES.includes(imported.importName)
+  );
+}
+
+/**
+ * Checks if this class has a static displayName field or getter.
  *
  * @param {Types} types content of @babel/types package
- * @param {Node} node function node
+ * @param {Path} path path of class
  */
-function doesReturnJSX(types, node) {
-  if (!node) return false;
+function hasStaticDisplayName(types, path) {
+  return path.node.body.body.some(
+    (member) =>
+      (types.isClassProperty(member) || types.isClassMethod(member)) &&
+      member.static &&
+      isDisplayNameKey(types, member.key, member.computed)
+  );
+}
 
-  const body = types.toBlock(node).body;
-  if (!body) return false;
+/**
+ * Checks if this property key refers to `displayName`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Node} node property key node
+ * @param {boolean} computed whether the key is computed
+ */
+function isDisplayNameKey(types, node, computed) {
+  if (!computed && types.isIdentifier(node, { name: 'displayName' })) {
+    return true;
+  }
 
-  return body.some((statement) => {
-    let node;
+  return types.isStringLiteral(node, { value: 'displayName' });
+}
 
-    if (types.isReturnStatement(statement)) {
-      node = statement.argument;
-    } else if (
-      types.isExpressionStatement(statement) &&
-      !types.isCallExpression(statement.expression)
-    ) {
-      node = statement.expression;
-    } else {
-      return false;
+/**
+ * Removes a statement setting the displayName of a component, or the displayName properties
+ * of it, if it is:
+ *  - an assignment, e.g. `Foo.displayName = 'Foo'`
+ *  - an `Object.assign` call, e.g. `Object.assign(Foo, { displayName: 'Foo' })`
+ *  - an `Object.defineProperty` call, e.g. `Object.defineProperty(Foo, 'displayName', {})`
+ *  - a call to the runtime helper, e.g. `applyDisplayName(Foo, 'Foo')`
+ *
+ * Statements whose target isn't a component, e.g. `user.displayName = name`, are kept.
+ * Guard blocks left empty are removed as well.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of the expression statement
+ * @param {string} helperSource module name of the runtime helper
+ * @param {PluginPass} state state of the current file
+ */
+function stripDisplayNameStatement(types, path, helperSource, state) {
+  const expression = path.node.expression;
+
+  const removeStatement = () => {
+    let statementPath = path;
+    while (statementPath) {
+      const { parentPath } = statementPath;
+      statementPath.remove();
+      statementPath = getEmptiedStatement(types, parentPath);
     }
+  };
 
+  if (types.isAssignmentExpression(expression, { operator: '=' })) {
+    const left = path.get('expression.left');
     if (
-      types.isCallExpression(node) &&
-      // detect *.createElement and count it as returning JSX
-      // this could be improved a lot but will work for the 99% case
-      types.isMemberExpression(node.callee) &&
-      node.callee.property.name === 'createElement'
+      left.isMemberExpression() &&
+      isDisplayNameKey(types, left.node.property, left.node.computed) &&
+      isComponentTarget(types, left.get('object'), path, state)
     ) {
-      return true;
+      removeStatement();
     }
+    return;
+  }
+
+  if (!types.isCallExpression(expression)) {
+    return;
+  }
+
+  const callee = path.get('expression.callee');
+  const [target, ...sources] = expression.arguments;
+  if (!target || !isComponentTarget(types, path.get('expression.arguments.0'), path, state)) {
+    return;
+  }
 
-    if (types.isConditionalExpression(node)) {
-      return isJSX(types, node.consequent) || isJSX(types, node.alternate);
+  if (isHelperCallee(types, callee, helperSource)) {
+    removeStatement();
+    return;
+  }
+
+  if (callee.matchesPattern('Object.defineProperty')) {
+    if (isDisplayNameKey(types, sources[0], true)) {
+      removeStatement();
     }
+    return;
+  }
+
+  if (callee.matchesPattern('Object.assign')) {
+    let hasStripped = false;
+    sources.forEach((source) => {
+      if (!types.isObjectExpression(source)) return;
+      const properties = source.properties.filter(
+        (property) =>
+          !types.isObjectProperty(property) ||
+          !isDisplayNameKey(types, property.key, property.computed)
+      );
+      hasStripped = hasStripped || properties.length !== source.properties.length;
+      source.properties = properties;
+    });
 
-    if (types.isLogicalExpression(node)) {
-      return isJSX(types, node.left) || isJSX(types, node.right);
+    // remove the whole statement if nothing else is left to assign
+    if (
+      hasStripped &&
+      sources.every((source) => types.isObjectExpression(source) && !source.properties.length)
+    ) {
+      removeStatement();
     }
+  }
+}
+
+/**
+ * Gets the statement left without effect once this block has been emptied, e.g.
+ *  - `if (process.env.NODE_ENV !== "production") {}`
+ *  - `(function () {})()` for the members of a context
+ * The condition of an `if` is kept when it may have side effects, e.g. `if (track()) {}`,
+ * unless it is within a function call annotated as pure.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} blockPath path of the block a statement was removed from
+ */
+function getEmptiedStatement(types, blockPath) {
+  if (!blockPath.isBlockStatement() || blockPath.node.body.length > 0) {
+    return null;
+  }
 
-    if (types.isArrayExpression(node)) {
-      return node.elements.some((ele) => isJSX(types, ele));
+  const { parentPath } = blockPath;
+  if (parentPath.isIfStatement() && !parentPath.node.alternate) {
+    const test = parentPath.get('test');
+    const callStatementPath = getCalledFunctionStatement(parentPath.parentPath);
+    const isWithinPureCall =
+      !!callStatementPath &&
+      [callStatementPath.node, callStatementPath.node.expression].some(({ leadingComments }) =>
+        (leadingComments || []).some(({ value }) => /[@#]__PURE__/.test(value))
+      );
+
+    if (!isWithinPureCall && !test.isPure() && mayHaveSideEffects(types, test.node)) {
+      parentPath.replaceWith(types.expressionStatement(test.node));
+      return null;
     }
+    return parentPath;
+  }
 
-    return isJSX(types, node);
-  });
+  return getCalledFunctionStatement(blockPath);
 }
 
 /**
- * Checks if this node is JSXElement or JSXFragment,
- * which are the root nodes of react components.
+ * Gets the statement calling the function of this body right away without arguments,
+ * e.g. `(function () { ... })()`.
+ *
+ * @param {Path} blockPath path of a block
+ */
+function getCalledFunctionStatement(blockPath) {
+  const functionPath = blockPath.parentPath;
+  if (
+    blockPath.isBlockStatement() &&
+    functionPath.isFunctionExpression() &&
+    functionPath.node.params.length === 0 &&
+    functionPath.parentPath.isCallExpression({ callee: functionPath.node }) &&
+    functionPath.parentPath.node.arguments.length === 0 &&
+    functionPath.parentPath.parentPath.isExpressionStatement()
+  ) {
+    return functionPath.parentPath.parentPath;
+  }
+
+  return null;
+}
+
+/**
+ * Checks if evaluating this expression may have side effects besides getters,
+ * i.e. if it calls, constructs, assigns, updates or deletes anything.
  *
  * @param {Types} types content of @babel/types package
- * @param {Node} node babel node
+ * @param {Node} node expression node
  */
-function isJSX(types, node) {
-  return types.isJSXElement(node) || types.isJSXFragment(node);
+function mayHaveSideEffects(types, node) {
+  let hasSideEffects = false;
+  types.traverseFast(node, (child) => {
+    if (
+      types.isCallExpression(child) ||
+      types.isOptionalCallExpression(child) ||
+      types.isNewExpression(child) ||
+      types.isTaggedTemplateExpression(child) ||
+      types.isAssignmentExpression(child) ||
+      types.isUpdateExpression(child) ||
+      types.isUnaryExpression(child, { operator: 'delete' }) ||
+      types.isAwaitExpression(child) ||
+      types.isYieldExpression(child)
+    ) {
+      hasSideEffects = true;
+    }
+  });
+  return hasSideEffects;
 }
 
 /**
- * Checks if this path is an allowed CallExpression.
+ * Checks if this callee refers to the default export of the runtime helper, e.g.:
+ *  - `applyDisplayName` for `import applyDisplayName from '.../apply'`
+ *  - `_apply` for `const _apply = require('.../apply')`
+ *  - `(0, _apply.default)` for `var _apply = _interopRequireDefault(require('.../apply'))`
  *
  * @param {Types} types content of @babel/types package
- * @param {Path} path path of callee
+ * @param {Path} calleePath path of callee
+ * @param {string} helperSource module name of the runtime helper
  */
-function isAllowedCallExpression(types, path) {
-  const callee = path.node.callee;
-  const calleeName = callee.name || (callee.property && callee.property.name);
-  const moduleName = calleeModuleMapping.get(calleeName);
+function isHelperCallee(types, calleePath, helperSource) {
+  let path = calleePath;
 
-  if (!moduleName) {
-    return false;
+  // (0, _apply.default)
+  if (path.isSequenceExpression()) {
+    const expressions = path.get('expressions');
+    path = expressions[expressions.length - 1];
   }
 
-  // If the callee is an identifier expression, then check if it matches
-  // a named import, e.g. `import {createContext} from 'react'`.
-  if (types.isIdentifier(callee)) {
-    const callee = path.get('callee');
-    return callee.referencesImport(moduleName, calleeName);
-  }
+  if (path.isIdentifier()) {
+    if (path.referencesImport(helperSource, 'default')) {
+      return true;
+    }
 
-  // Otherwise, check if the member expression's object matches
-  // a default import (e.g. `import React from 'react'`)
-  // or namespace import (e.g. `import * as React from 'react')
-  if (types.isMemberExpression(callee)) {
-    const object = path.get('callee.object');
+    const imported = resolveNamespaceImport(types, path);
+    return !!imported && imported.moduleName === helperSource;
+  }
 
-    return (
-      object.referencesImport(moduleName, 'default') || object.referencesImport(moduleName, '*')
-    );
+  if (
+    path.isMemberExpression() &&
+    getPropertyName(types, path.node.property, path.node.computed) === 'default'
+  ) {
+    const imported = resolveNamespaceImport(types, path.get('object'));
+    return !!imported && imported.moduleName === helperSource;
   }
 
   return false;
 }
 
 /**
- * Adds displayName to the function component if it is:
- *  - assigned to a variable or object path
- *  - not within other JSX elements
- *  - not called by a react hook or _createClass helper
+ * Checks if the target of a displayName statement is a component, i.e. if it resolves to:
+ *  - a function returning JSX or annotated as a component, e.g. `const Foo = () => <div />`
+ *  - a class component
+ *  - the result of an allowed callee, e.g. `const Foo = memo(Bar)` or `createContext()`
+ *  - a property of those or of an object of those, e.g. `Components.Row` or `Foo.Provider`
+ *
+ * Targets without a binding, e.g. `foo.bar`, are components when they were previously
+ * assigned one in the same block, e.g. `foo.bar = () => <div />`.
  *
  * @param {Types} types content of @babel/types package
- * @param {Path} path path of function
- * @param {Object} options
+ * @param {Path} targetPath path of the target expression
+ * @param {?Path} statementPath path of the displayName statement
+ * @param {PluginPass} state state of the current file
  */
-function addDisplayNamesToFunctionComponent(types, path, options) {
-  const componentIdentifiers = [];
-  if (path.node.key) {
-    componentIdentifiers.push({ id: path.node.key });
+function isComponentTarget(types, targetPath, statementPath, state) {
+  const propertyNames = [];
+  let rootPath = targetPath;
+  while (rootPath.isMemberExpression()) {
+    propertyNames.unshift(getPropertyName(types, rootPath.node.property, rootPath.node.computed));
+    rootPath = rootPath.get('object');
   }
 
-  let assignmentPath;
-  let hasCallee = false;
-  let hasObjectProperty = false;
+  const binding = rootPath.isIdentifier() && rootPath.scope.getBinding(rootPath.node.name);
+  if (!binding) {
+    const pattern = generateNodeDisplayName(types, targetPath.node);
+    return (
+      !!pattern &&
+      !!statementPath &&
+      statementPath.getAllPrevSiblings().some((sibling) => {
+        const expression = sibling.get('expression');
+        return (
+          sibling.isExpressionStatement() &&
+          expression.isAssignmentExpression({ operator: '=' }) &&
+          generateNodeDisplayName(types, expression.node.left) === pattern &&
+          isComponentPath(types, expression.get('right'), state)
+        );
+      })
+    );
+  }
 
-  const scopePath = path.scope.parent && path.scope.parent.path;
-  path.find((parentPath) => {
-    // we've hit the scope, stop going further up
-    if (parentPath === scopePath) {
+  let componentPath = binding.path;
+  if (componentPath.isVariableDeclarator()) {
+    if (hasFunctionComponentType(types, componentPath.node.id)) {
       return true;
     }
+    componentPath = componentPath.get('init');
+  }
 
-    // Ignore functions within jsx
-    if (isJSX(types, parentPath.node)) {
-      return true;
-    }
+  // const Foo = Object.assign(Foo, {})
+  if (targetPath.isDescendant(componentPath)) {
+    return false;
+  }
 
-    if (parentPath.isCallExpression()) {
-      // Ignore immediately invoked function expressions (IIFEs)
-      const callee = parentPath.node.callee;
-      if (types.isArrowFunctionExpression(callee) || types.isFunctionExpression(callee)) {
-        return true;
-      }
+  // Components.Row, Card.Header, but not FeatureContext.Provider
+  for (const propertyName of propertyNames) {
+    const propertyPath = getPropertyValuePath(
+      types,
+      unwrapPath(types, componentPath),
+      propertyName
+    );
+    if (!propertyPath) break;
+    componentPath = propertyPath;
+  }
 
-      // Ignore instances where displayNames are disallowed
-      // _createClass(() => <Element />)
-      // useMemo(() => <Element />)
-      const calleeName = callee.name;
-      if (calleeName && (calleeName.startsWith('_') || calleeName.startsWith('use'))) {
-        return true;
-      }
+  return isComponentPath(types, componentPath, state);
+}
 
-      hasCallee = true;
-    }
+/**
+ * Returns the path of a property value of an object, or of the sources
+ * of an `Object.assign()` call, e.g. `() => <tr />` for `Row` in `{ Row: () => <tr /> }`.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of object or call
+ * @param {?string} propertyName
+ */
+function getPropertyValuePath(types, path, propertyName) {
+  if (!propertyName || !path.node) return null;
 
-    // componentIdentifier = <Element />
-    if (parentPath.isAssignmentExpression()) {
-      assignmentPath = parentPath.parentPath;
-      componentIdentifiers.unshift({ id: parentPath.node.left });
-      return true;
-    }
+  const objectPaths = isObjectAssignCall(types, path) ? path.get('arguments').slice(1) : [path];
 
-    // const componentIdentifier = <Element />
-    if (parentPath.isVariableDeclarator()) {
-      assignmentPath = parentPath.parentPath;
-      componentIdentifiers.unshift({ id: parentPath.node.id });
-      return true;
-    }
+  for (const objectPath of objectPaths) {
+    if (!objectPath.isObjectExpression()) continue;
 
-    // if this is not a continuous object key: value pair, stop processing it
-    if (hasObjectProperty && !(parentPath.isObjectProperty() || parentPath.isObjectExpression())) {
-      return true;
-    }
+    const propertyPath = objectPath
+      .get('properties')
+      .find(
+        (property) =>
+          (property.isObjectProperty() || property.isObjectMethod()) &&
+          getPropertyName(types, property.node.key, property.node.computed) === propertyName
+      );
 
-    // { componentIdentifier: <Element /> }
-    if (parentPath.isObjectProperty()) {
-      hasObjectProperty = true;
-      const node = parentPath.node;
-      componentIdentifiers.unshift({ id: node.key, computed: node.computed });
+    if (propertyPath) {
+      return propertyPath.isObjectMethod() ? propertyPath : propertyPath.get('value');
     }
-
-    return false;
-  });
-
-  if (!assignmentPath || componentIdentifiers.length === 0) {
-    return;
   }
 
-  let name = generateDisplayName(types, componentIdentifiers);
-
-  if (options.template) {
-    name = options.template.replace(/%s/, name);
-  }
+  return null;
+}
 
-  const pattern = `${name}.displayName`;
+/**
+ * Checks if this path is a component this plugin names.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path path of the possible component
+ * @param {PluginPass} state state of the current file
+ */
+function isComponentPath(types, path, state) {
+  const componentPath = unwrapPath(types, path);
+  if (!componentPath.node) return false;
 
-  // disallow duplicate names if they were assigned in different scopes
-  if (seenDisplayNames.has(name) && !hasBeenAssignedPrev(types, assignmentPath, pattern, name)) {
-    return;
+  if (componentPath.isFunction()) {
+    return doesReturnJSX(types, componentPath, state);
   }
 
-  // skip unnecessary addition of name if it is reassigned later on
-  if (hasBeenAssignedNext(types, assignmentPath, pattern)) return;
-
-  // at this point we're ready to start pushing code
+  if (componentPath.isClass()) {
+    return isClassComponent(types, componentPath);
+  }
 
-  if (hasCallee) {
-    // if we're getting called by some wrapper function,
-    // give this function a name
-    setInternalFunctionName(types, path, name);
+  // const Card = Object.assign(CardRoot, { Header: () => <h2 /> })
+  if (isObjectAssignCall(types, componentPath)) {
+    const targetPath = unwrapPath(types, componentPath.get('arguments.0'));
+    return targetPath.isIdentifier()
+      ? isComponentTarget(types, targetPath, null, state)
+      : isComponentPath(types, targetPath, state);
   }
 
-  const displayNameStatement = createDisplayNameStatement(types, componentIdentifiers, name);
+  if (componentPath.isCallExpression() || componentPath.isTaggedTemplateExpression()) {
+    return isAllowedCallExpression(types, componentPath, state);
+  }
 
-  assignmentPath.insertAfter(displayNameStatement);
+  return false;
+}
 
-  seenDisplayNames.add(name);
+/**
+ * Returns the path of the expression wrapped by parentheses or TypeScript expressions.
+ *
+ * @param {Types} types content of @babel/types package
+ * @param {Path} path
+ */
+function unwrapPath(types, path) {
+  while (path.node && isTransparentExpression(types, path.node)) {
+    path = path.get('expression');
+  }
+  return path;
 }
 
 /**
@@ -293,6 +2076,136 @@ function generateDisplayName(types, componentIdentifiers) {
   return displayName.slice(1);
 }
 
+/**
+ * Creates a function checking if a file should be transformed,
+ * based on the `include` and `exclude` globs matched against its path relative to the root.
+ * Exclusion takes precedence, and files without a filename are only transformed
+ * when there is no `include` option.
+ *
+ * @param {Object} options
+ */
+function createFileFilter(options) {
+  const isIncluded = options.include ? picomatch(options.include, { dot: true }) : null;
+  const isExcluded = options.exclude ? picomatch(options.exclude, { dot: true }) : null;
+
+  return (state) => {
+    if (!state.filename) {
+      return !isIncluded;
+    }
+
+    const root = state.file.opts.root || state.cwd;
+    const relativePath = nodePath.relative(root, state.filename).split(nodePath.sep).join('/');
+
+    if (isExcluded && isExcluded(relativePath)) {
+      return false;
+    }
+
+    return !isIncluded || isIncluded(relativePath);
+  };
+}
+
+/**
+ * Creates a function checking if a callee stops the naming of the functions passed to it,
+ * based on the `ignoredCallees` option. Strings match the callee name, e.g. `React.useMemo`,
+ * or its prefix when ending with `*`, and regular expressions are tested against it.
+ * Strings without a dot only match identifier callees, so that `use*` matches `useMemo`
+ * but not `userStore.wrap`.
+ *
+ * @param {Object} options
+ */
+function createCalleeFilter(options) {
+  const matchers = (options.ignoredCallees || DEFAULT_IGNORED_CALLEES).map((pattern) => {
+    if (pattern instanceof RegExp) {
+      return (name) => pattern.test(name);
+    }
+
+    const isMemberPattern = pattern.includes('.');
+    const matches = pattern.endsWith('*')
+      ? (name) => name.startsWith(pattern.slice(0, -1))
+      : (name) => name === pattern;
+    return (name) => (isMemberPattern || !/[.[]/.test(name)) && matches(name);
+  });
+
+  return (name) => matchers.some((matcher) => matcher(name));
+}
+
+/**
+ * Creates a function checking if a component should be named,
+ * based on the `includeNames` and `excludeNames` regular expressions
+ * matched against its generated name, before the template is applied.
+ * Exclusion takes precedence.
+ *
+ * @param {Object} options
+ */
+function createNameFilter(options) {
+  const toRegExps = (patterns) => [].concat(patterns || []).map((pattern) => new RegExp(pattern));
+  const includeNames = toRegExps(options.includeNames);
+  const excludeNames = toRegExps(options.excludeNames);
+
+  return (name) => {
+    if (excludeNames.some((regExp) => regExp.test(name))) {
+      return false;
+    }
+
+    return !includeNames.length || includeNames.some((regExp) => regExp.test(name));
+  };
+}
+
+/**
+ * Replaces the placeholders of the template:
+ *  - `%s` or `[name]`: the generated name
+ *  - `[file]`: basename of the file without its extension
+ *  - `[dir]`: name of the directory containing the file
+ *  - `[relativePath]`: path of the file relative to the root, without its extension
+ *
+ * Placeholders prefixed with a backslash are kept as is, e.g. `\[name]` -> `[name]`.
+ * File placeholders are replaced with an empty string when the filename is unknown.
+ *
+ * @param {string} template displayName template
+ * @param {string} name generated name of the component
+ * @param {PluginPass} state state of the current file
+ */
+function applyTemplate(template, name, state) {
+  return template.replace(TEMPLATE_TOKEN_REGEX, (match, token) => {
+    if (match.startsWith('\\')) {
+      return match.slice(1);
+    }
+
+    if (!token || token === 'name') {
+      return name;
+    }
+
+    return getFileTokens(state)[token];
+  });
+}
+
+/**
+ * Computes the file related template placeholders, once per file.
+ *
+ * @param {PluginPass} state state of the current file
+ */
+function getFileTokens(state) {
+  if (!state.fileTokens) {
+    const filename = state.filename;
+
+    if (filename) {
+      const root = state.file.opts.root || state.cwd;
+      const extension = nodePath.extname(filename);
+      const relativePath = nodePath.relative(root, filename).split(nodePath.sep).join('/');
+
+      state.fileTokens = {
+        file: nodePath.basename(filename, extension),
+        dir: nodePath.basename(nodePath.dirname(filename)),
+        relativePath: relativePath.slice(0, relativePath.length - extension.length),
+      };
+    } else {
+      state.fileTokens = { file: '', dir: '', relativePath: '' };
+    }
+  }
+
+  return state.fileTokens;
+}
+
 /**
  * Generate a displayName string based on the node.
  *
@@ -349,25 +2262,87 @@ function hasBeenAssignedNext(types, assignmentPath, pattern) {
   });
 }
 
+/**
+ * Returns the identifier of the runtime helper, importing it once per file.
+ * The import is added as ESM or CommonJS depending on the source type of the file.
+ *
+ * @param {Object} options
+ * @param {PluginPass} state state of the current file
+ */
+function getHelperIdentifier(options, state) {
+  if (!state.helperIdentifier) {
+    const source = typeof options.helper === 'string' ? options.helper : DEFAULT_HELPER_SOURCE;
+    state.helperIdentifier = addDefault(state.file.path, source, {
+      nameHint: 'applyDisplayName',
+    });
+  }
+
+  return state.helperIdentifier;
+}
+
 /**
  * Generate a displayName ExpressionStatement node based on the ids.
  *
  * @param {Types} types content of @babel/types package
  * @param {componentIdentifier[]} componentIdentifiers list of { id, computed } objects
  * @param {string} displayName name of the function component
+ * @param {Identifier} [helperIdentifier] runtime helper to call instead of `Object.assign`
+ * @param {string} [output] form of the statement, one of `OUTPUTS`
  */
-function createDisplayNameStatement(types, componentIdentifiers, displayName, helperIdentifier) {
+function createDisplayNameStatement(
+  types,
+  componentIdentifiers,
+  displayName,
+  helperIdentifier,
+  output = 'Object.assign'
+) {
   const node = createMemberExpression(types, componentIdentifiers);
 
-  const expression = types.callExpression(
-    types.memberExpression(types.identifier('Object'), types.identifier('assign')),
-    [
+  // assignments can't be annotated as pure
+  if (!helperIdentifier && output === 'assignment') {
+    return types.expressionStatement(
+      types.assignmentExpression(
+        '=',
+        types.memberExpression(node, types.identifier('displayName')),
+        types.stringLiteral(displayName)
+      )
+    );
+  }
+
+  let expression;
+  if (helperIdentifier) {
+    expression = types.callExpression(types.cloneNode(helperIdentifier), [
       node,
-      types.objectExpression([
-        types.objectProperty(types.stringLiteral('displayName'), types.stringLiteral(displayName)),
-      ]),
-    ]
-  );
+      types.stringLiteral(displayName),
+    ]);
+  } else if (output === 'Object.defineProperty') {
+    // non-enumerable, like the name of functions
+    expression = types.callExpression(
+      types.memberExpression(types.identifier('Object'), types.identifier('defineProperty')),
+      [
+        node,
+        types.stringLiteral('displayName'),
+        types.objectExpression([
+          types.objectProperty(types.identifier('value'), types.stringLiteral(displayName)),
+          types.objectProperty(types.identifier('writable'), types.booleanLiteral(true)),
+          types.objectProperty(types.identifier('configurable'), types.booleanLiteral(true)),
+        ]),
+      ]
+    );
+  } else {
+    expression = types.callExpression(
+      types.memberExpression(types.identifier('Object'), types.identifier('assign')),
+      [
+        node,
+        types.objectExpression([
+          types.objectProperty(
+            types.stringLiteral('displayName'),
+            types.stringLiteral(displayName)
+          ),
+        ]),
+      ]
+    );
+  }
 
   annotateAsPure(expression);
 
@@ -404,6 +2379,7 @@ function setInternalFunctionName(types, path, name) {
   }
 
   const id = path.scope.generateUidIdentifier(name);
+  id.loc = path.node.loc;
   if (path.isArrowFunctionExpression()) {
     path.arrowFunctionToExpression();
   }
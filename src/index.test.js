@@ -1,5 +1,6 @@
 import path from 'path';
 import { transformSync } from '@babel/core';
+import { TraceMap, originalPositionFor } from '@jridgewell/trace-mapping';
 
 const plugin = path.join(__dirname, './index.js');
 
@@ -11,6 +12,43 @@ const transform = (code, pluginOptions) =>
     presets: [['@babel/preset-react', { pure: false }]],
   }).code;
 
+const transformWithFilename = (code, filename, pluginOptions) =>
+  transformSync(code, {
+    babelrc: false,
+    configFile: false,
+    filename,
+    root: '/project',
+    plugins: [[plugin, pluginOptions]],
+    presets: [['@babel/preset-react', { pure: false }]],
+  }).code;
+
+const transformTypeScript = (code, pluginOptions) =>
+  transformSync(code, {
+    babelrc: false,
+    configFile: false,
+    filename: 'file.tsx',
+    plugins: [[plugin, pluginOptions]],
+    presets: [['@babel/preset-react', { pure: false }], '@babel/preset-typescript'],
+  }).code;
+
+const transformWithSourceMap = (code, pluginOptions) =>
+  transformSync(code, {
+    babelrc: false,
+    configFile: false,
+    filename: 'file.js',
+    sourceMaps: true,
+    plugins: [[plugin, pluginOptions]],
+    presets: [['@babel/preset-react', { pure: false }]],
+  });
+
+const getMetadata = (code, pluginOptions) =>
+  transformSync(code, {
+    babelrc: false,
+    configFile: false,
+    plugins: [[plugin, pluginOptions]],
+    presets: [['@babel/preset-react', { pure: false }]],
+  }).metadata.reactDisplayNames;
+
 const transformWithAllowedCallees = (code) =>
   transform(code, {
     allowedCallees: {
@@ -834,6 +872,69 @@ describe('babelDisplayNamePlugin', () => {
     ).toMatchInlineSnapshot(`"const Component = useMemo(() => React.createElement("img", null));"`);
   });
 
+  it('should not add display name to components within member hooks', () => {
+    expect(
+      transform(`
+      import React, { memo } from 'react';
+      const Memoized = React.useMemo(memo(() => <img/>), []);
+      const Callback = React.useCallback(memo(() => <img/>), []);
+      `)
+    ).toMatchInlineSnapshot(`
+      "import React, { memo } from 'react';
+      const Memoized = React.useMemo(memo(() => React.createElement("img", null)), []);
+      const Callback = React.useCallback(memo(() => React.createElement("img", null)), []);"
+    `);
+  });
+
+  it('should support ignored callees', () => {
+    expect(
+      transform(
+        `
+      import { memo } from 'react';
+      const Memoized = useMemo(memo(() => <img/>), []);
+      const Lazy = lazyComponent(memo(() => <img/>));
+      const Cached = cache.wrap(memo(() => <img/>));
+      const Themed = withTheme(memo(() => <img/>));
+      `,
+        { ignoredCallees: ['lazy*', /^cache\./] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      const Memoized = useMemo(memo(() => React.createElement("img", null)), []);
+      /*#__PURE__*/Object.assign(Memoized, {
+        "displayName": "Memoized"
+      });
+      const Lazy = lazyComponent(memo(() => React.createElement("img", null)));
+      const Cached = cache.wrap(memo(() => React.createElement("img", null)));
+      const Themed = withTheme(memo(() => React.createElement("img", null)));
+      /*#__PURE__*/Object.assign(Themed, {
+        "displayName": "Themed"
+      });"
+    `);
+  });
+
+  it('should only ignore identifier callees with the default prefixes', () => {
+    expect(
+      transform(`
+      import { memo } from 'react';
+      const Foo = userStore.wrap(memo(() => <div/>));
+      const Bar = _.flow(memo(() => <div/>));
+      const Baz = _wrap(memo(() => <div/>));
+      `)
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      const Foo = userStore.wrap(memo(() => React.createElement("div", null)));
+      /*#__PURE__*/Object.assign(Foo, {
+        "displayName": "Foo"
+      });
+      const Bar = _.flow(memo(() => React.createElement("div", null)));
+      /*#__PURE__*/Object.assign(Bar, {
+        "displayName": "Bar"
+      });
+      const Baz = _wrap(memo(() => React.createElement("div", null)));"
+    `);
+  });
+
   it('should not add display name to class components', () => {
     expect(
       transformWithAllowedCallees(`
@@ -1151,4 +1252,2539 @@ describe('babelDisplayNamePlugin', () => {
       });"
     `);
   });
+
+  it('should use a shared runtime helper if provided', () => {
+    expect(
+      transform(
+        `
+      import React from 'react';
+      const Test = () => <img/>;
+      const Test2 = React.memo(() => <img/>);
+      `,
+        { helper: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import _applyDisplayName from "@probablyup/babel-plugin-react-displayname/apply";
+      import React from 'react';
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/_applyDisplayName(Test, "Test");
+      const Test2 = React.memo(() => React.createElement("img", null));
+      /*#__PURE__*/_applyDisplayName(Test2, "Test2");"
+    `);
+
+    expect(
+      transform(
+        `
+      const Test = () => <img/>;
+      `,
+        { helper: 'my-lib/applyDisplayName' }
+      )
+    ).toMatchInlineSnapshot(`
+      "import _applyDisplayName from "my-lib/applyDisplayName";
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/_applyDisplayName(Test, "Test");"
+    `);
+
+    expect(
+      transformSync(
+        `
+      const Test = () => <img/>;
+      `,
+        {
+          babelrc: false,
+          configFile: false,
+          sourceType: 'script',
+          plugins: [[plugin, { helper: true }]],
+          presets: [['@babel/preset-react', { pure: false }]],
+        }
+      ).code
+    ).toMatchInlineSnapshot(`
+      "var _applyDisplayName = _interopRequireDefault(require("@probablyup/babel-plugin-react-displayname/apply")).default;
+      function _interopRequireDefault(obj) { return obj && obj.__esModule ? obj : { default: obj }; }
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/_applyDisplayName(Test, "Test");"
+    `);
+
+    expect(
+      transform(
+        `
+      const notAComponent = () => null;
+      `,
+        { helper: true }
+      )
+    ).toMatchInlineSnapshot(`"const notAComponent = () => null;"`);
+
+    expect(() => transform('', { helper: true, output: 'assignment' })).toThrow(
+      /"output" option can't be used with the "helper" option/
+    );
+  });
+
+  it('should run the shared runtime helper from CommonJS', () => {
+    const { code } = transformSync('const Test = () => <img/>;', {
+      babelrc: false,
+      configFile: false,
+      sourceType: 'script',
+      plugins: [[plugin, { helper: true }]],
+      presets: [['@babel/preset-react', { pure: false }]],
+    });
+
+    const Test = new Function('require', 'React', `${code}\nreturn Test;`)(require, {});
+    expect(Test.displayName).toBe('Test');
+  });
+
+  it('should keep state separate between plugin instances', () => {
+    // options objects are reused so that babel caches both plugin instances
+    const felaOptions = { allowedCallees: { 'react-fela': ['createComponent'] } };
+    const customOptions = { allowedCallees: { 'custom-lib': ['createComponent'] } };
+
+    const felaCode = `
+      import { createComponent } from 'react-fela';
+      const Fela = createComponent();
+      `;
+    const customCode = `
+      import { createComponent } from 'custom-lib';
+      const Custom = createComponent();
+      `;
+
+    const results = [
+      transform(felaCode, felaOptions),
+      transform(customCode, customOptions),
+      transform(felaCode, felaOptions),
+      transform(customCode, customOptions),
+      transform(customCode, felaOptions),
+      transform(felaCode, customOptions),
+    ];
+
+    expect(results).toMatchInlineSnapshot(`
+      [
+        "import { createComponent } from 'react-fela';
+      const Fela = createComponent();
+      /*#__PURE__*/Object.assign(Fela, {
+        "displayName": "Fela"
+      });",
+        "import { createComponent } from 'custom-lib';
+      const Custom = createComponent();
+      /*#__PURE__*/Object.assign(Custom, {
+        "displayName": "Custom"
+      });",
+        "import { createComponent } from 'react-fela';
+      const Fela = createComponent();
+      /*#__PURE__*/Object.assign(Fela, {
+        "displayName": "Fela"
+      });",
+        "import { createComponent } from 'custom-lib';
+      const Custom = createComponent();
+      /*#__PURE__*/Object.assign(Custom, {
+        "displayName": "Custom"
+      });",
+        "import { createComponent } from 'custom-lib';
+      const Custom = createComponent();",
+        "import { createComponent } from 'react-fela';
+      const Fela = createComponent();",
+      ]
+    `);
+  });
+
+  it('should apply file tokens in the template', () => {
+    const code = `
+      const CardInput = () => <input/>;
+      `;
+
+    expect(
+      transformWithFilename(code, '/project/src/Checkout/PaymentForm.jsx', {
+        template: '[dir]/[file].[name]',
+      })
+    ).toMatchInlineSnapshot(`
+      "const CardInput = () => React.createElement("input", null);
+      /*#__PURE__*/Object.assign(CardInput, {
+        "displayName": "Checkout/PaymentForm.CardInput"
+      });"
+    `);
+
+    expect(
+      transformWithFilename(code, '/project/src/Checkout/PaymentForm.jsx', {
+        template: '[relativePath]:%s',
+      })
+    ).toMatchInlineSnapshot(`
+      "const CardInput = () => React.createElement("input", null);
+      /*#__PURE__*/Object.assign(CardInput, {
+        "displayName": "src/Checkout/PaymentForm:CardInput"
+      });"
+    `);
+
+    expect(
+      transformWithFilename(code, '/project/src/Checkout/PaymentForm.jsx', {
+        template: '\\[file] [file] \\%s',
+      })
+    ).toMatchInlineSnapshot(`
+      "const CardInput = () => React.createElement("input", null);
+      /*#__PURE__*/Object.assign(CardInput, {
+        "displayName": "[file] PaymentForm %s"
+      });"
+    `);
+
+    expect(
+      transform(code, {
+        template: '[dir]/[file]/[relativePath]/[name]',
+      })
+    ).toMatchInlineSnapshot(`
+      "const CardInput = () => React.createElement("input", null);
+      /*#__PURE__*/Object.assign(CardInput, {
+        "displayName": "///CardInput"
+      });"
+    `);
+  });
+
+  it('should guard display names if provided', () => {
+    const code = `
+      import React from 'react';
+      const Test = () => <img/>;
+      const Test2 = React.memo(() => <img/>);
+      `;
+
+    expect(transform(code, { guard: true })).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      if (process.env.NODE_ENV !== "production") {
+        /*#__PURE__*/Object.assign(Test, {
+          "displayName": "Test"
+        });
+      }
+      const Test2 = React.memo(() => React.createElement("img", null));
+      if (process.env.NODE_ENV !== "production") {
+        /*#__PURE__*/Object.assign(Test2, {
+          "displayName": "Test2"
+        });
+      }"
+    `);
+
+    expect(transform(code, { guard: true, wrapperFormat: { memo: 'Memo(%s)' } }))
+      .toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      if (process.env.NODE_ENV !== "production") {
+        /*#__PURE__*/Object.assign(Test, {
+          "displayName": "Test"
+        });
+      }
+      const Test2 = React.memo(() => React.createElement("img", null));
+      if (process.env.NODE_ENV !== "production") {
+        /*#__PURE__*/Object.assign(Test2, {
+          "displayName": "Memo(Test2)"
+        });
+      }"
+    `);
+
+    expect(transform(code, { guard: '__DEV__', helper: true })).toMatchInlineSnapshot(`
+      "import _applyDisplayName from "@probablyup/babel-plugin-react-displayname/apply";
+      import React from 'react';
+      const Test = () => React.createElement("img", null);
+      if (__DEV__) {
+        /*#__PURE__*/_applyDisplayName(Test, "Test");
+      }
+      const Test2 = React.memo(() => React.createElement("img", null));
+      if (__DEV__) {
+        /*#__PURE__*/_applyDisplayName(Test2, "Test2");
+      }"
+    `);
+  });
+
+  it('should omit display names in the given environments', () => {
+    const code = `
+      import React from 'react';
+      const Test = () => <img/>;
+      const Test2 = React.memo(() => <img/>);
+      `;
+    const transformInEnv = (envName) =>
+      transformSync(code, {
+        babelrc: false,
+        configFile: false,
+        envName,
+        plugins: [[plugin, { omitEnvs: ['production'] }]],
+        presets: [['@babel/preset-react', { pure: false }]],
+      }).code;
+
+    expect(transformInEnv('production')).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      const Test2 = React.memo(() => React.createElement("img", null));"
+    `);
+
+    expect(transformInEnv('development')).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = React.memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+  });
+
+  it('should strip display names if provided', () => {
+    expect(
+      transform(
+        `
+      import React from 'react';
+      import applyDisplayName from '@probablyup/babel-plugin-react-displayname/apply';
+      const Test = () => <img/>;
+      Test.displayName = 'Test';
+      Test['displayName'] = 'Test';
+      Object.assign(Test, { displayName: 'Test' });
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      Object.assign(Test, { displayName: 'Test', defaultProps: {} });
+      Object.defineProperty(Test, 'displayName', { value: 'Test' });
+      applyDisplayName(Test, 'Test');
+      class Test2 extends React.Component {
+        static displayName = 'Test2';
+        static defaultProps = {};
+        render() {
+          return <img/>;
+        }
+      }
+      `,
+        { strip: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import React from 'react';
+      import applyDisplayName from '@probablyup/babel-plugin-react-displayname/apply';
+      const Test = () => React.createElement("img", null);
+      Object.assign(Test, {
+        defaultProps: {}
+      });
+      class Test2 extends React.Component {
+        static defaultProps = {};
+        render() {
+          return React.createElement("img", null);
+        }
+      }"
+    `);
+
+    expect(
+      transform(
+        `
+      const Test = () => <img/>;
+      Test.displayName;
+      Test.name = 'Test';
+      Test[displayName] = 'Test';
+      Object.assign(Test, { name: 'Test' });
+      Object.assign(Test, { [displayName]: 'Test' });
+      Object.defineProperty(Test, 'name', { value: 'Test' });
+      applyDisplayName(Test, 'Test');
+      const name = Test.displayName = 'Test';
+      `,
+        { strip: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      Test.displayName;
+      Test.name = 'Test';
+      Test[displayName] = 'Test';
+      Object.assign(Test, {
+        name: 'Test'
+      });
+      Object.assign(Test, {
+        [displayName]: 'Test'
+      });
+      Object.defineProperty(Test, 'name', {
+        value: 'Test'
+      });
+      applyDisplayName(Test, 'Test');
+      const name = Test.displayName = 'Test';"
+    `);
+
+    expect(
+      transform(
+        `
+      import { memo, createContext } from 'react';
+      function save(user, name) {
+        user.displayName = name;
+        Object.assign(profile, { displayName: name });
+        return user;
+      }
+      window.displayName = 'Window';
+      const settings = Object.assign({}, defaults);
+      settings.displayName = 'Settings';
+      const Memo = memo(Inner);
+      Memo.displayName = 'Memo';
+      const Context = createContext();
+      if (process.env.NODE_ENV !== "production") {
+        Context.displayName = 'Context';
+      }
+      /*#__PURE__*/(function () {
+        if (
+          Context.Provider !== Context &&
+          !Object.getOwnPropertyDescriptor(Context.Provider, 'displayName')
+        ) {
+          Context.Provider.displayName = 'Context.Provider';
+        }
+      })();
+      const Tracked = () => <b/>;
+      if (track('Tracked')) {
+        Tracked.displayName = 'Tracked';
+      }
+      const Components = { Row: () => <tr/>, label: 'Components' };
+      Components.Row.displayName = 'Components.Row';
+      Components.label.displayName = 'label';
+      foo.bar = () => <img/>;
+      foo.bar.displayName = 'foo.bar';
+      foo.baz.displayName = 'foo.baz';
+      class Model {
+        static displayName = 'Model';
+      }
+      `,
+        { strip: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo, createContext } from 'react';
+      function save(user, name) {
+        user.displayName = name;
+        Object.assign(profile, {
+          displayName: name
+        });
+        return user;
+      }
+      window.displayName = 'Window';
+      const settings = Object.assign({}, defaults);
+      settings.displayName = 'Settings';
+      const Memo = memo(Inner);
+      const Context = createContext();
+      const Tracked = () => React.createElement("b", null);
+      track('Tracked');
+      const Components = {
+        Row: () => React.createElement("tr", null),
+        label: 'Components'
+      };
+      Components.label.displayName = 'label';
+      foo.bar = () => React.createElement("img", null);
+      foo.baz.displayName = 'foo.baz';
+      class Model {
+        static displayName = 'Model';
+      }"
+    `);
+
+    expect(
+      transform(
+        `
+      var _apply = _interopRequireDefault(require("@probablyup/babel-plugin-react-displayname/apply"));
+      const apply = require("@probablyup/babel-plugin-react-displayname/apply");
+      var _applyDisplayName = _interopRequireDefault(require("@probablyup/babel-plugin-react-displayname/apply")).default;
+      const Test = () => <img/>;
+      (0, _apply.default)(Test, 'Test');
+      apply(Test, 'Test');
+      _applyDisplayName(Test, 'Test');
+      (0, _other.default)(Test, 'Test');
+      `,
+        { strip: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "var _apply = _interopRequireDefault(require("@probablyup/babel-plugin-react-displayname/apply"));
+      const apply = require("@probablyup/babel-plugin-react-displayname/apply");
+      var _applyDisplayName = _interopRequireDefault(require("@probablyup/babel-plugin-react-displayname/apply")).default;
+      const Test = () => React.createElement("img", null);
+      (0, _other.default)(Test, 'Test');"
+    `);
+  });
+
+  it('should add display name to calls from presets', () => {
+    expect(
+      transform(
+        `
+      import { observer, inject } from 'mobx-react';
+      import { observer as liteObserver } from 'mobx-react-lite';
+      const Test = observer(() => <img/>);
+      const Test2 = inject('store')(Test);
+      const Test3 = liteObserver(() => <img/>);
+      `,
+        { presets: ['mobx-react'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { observer, inject } from 'mobx-react';
+      import { observer as liteObserver } from 'mobx-react-lite';
+      const Test = observer(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = inject('store')(Test);
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });
+      const Test3 = liteObserver(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test3, {
+        "displayName": "Test3"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { connect } from 'react-redux';
+      const Test = connect(mapStateToProps)(Component);
+      `,
+        { presets: ['react-redux'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { connect } from 'react-redux';
+      const Test = connect(mapStateToProps)(Component);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { connect } from 'react-redux';
+      import { inject } from 'mobx-react';
+      const enhance = connect(mapStateToProps);
+      const withStore = inject('store');
+      const Test = enhance(Component);
+      const Test2 = withStore(Component);
+      `,
+        { presets: ['react-redux', 'mobx-react'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { connect } from 'react-redux';
+      import { inject } from 'mobx-react';
+      const enhance = connect(mapStateToProps);
+      const withStore = inject('store');
+      const Test = enhance(Component);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = withStore(Component);
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import styled, { createGlobalStyle, css } from 'styled-components';
+      const Button = styled.button\`color: red;\`;
+      const Link = styled(Button).attrs({ as: 'a' })\`color: blue;\`;
+      const GlobalStyle = createGlobalStyle\`body { margin: 0; }\`;
+      const mixin = css\`color: red;\`;
+      `,
+        { presets: ['styled-components'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import styled, { createGlobalStyle, css } from 'styled-components';
+      const Button = styled.button\`color: red;\`;
+      /*#__PURE__*/Object.assign(Button, {
+        "displayName": "Button"
+      });
+      const Link = styled(Button).attrs({
+        as: 'a'
+      })\`color: blue;\`;
+      /*#__PURE__*/Object.assign(Link, {
+        "displayName": "Link"
+      });
+      const GlobalStyle = createGlobalStyle\`body { margin: 0; }\`;
+      /*#__PURE__*/Object.assign(GlobalStyle, {
+        "displayName": "GlobalStyle"
+      });
+      const mixin = css\`color: red;\`;"
+    `);
+
+    expect(
+      transform(
+        `
+      import styled from '@emotion/styled';
+      const Button = styled.button\`color: red;\`;
+      const Link = styled('a')({ color: 'blue' });
+      `,
+        { presets: ['@emotion/styled'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import styled from '@emotion/styled';
+      const Button = styled.button\`color: red;\`;
+      /*#__PURE__*/Object.assign(Button, {
+        "displayName": "Button"
+      });
+      const Link = styled('a')({
+        color: 'blue'
+      });
+      /*#__PURE__*/Object.assign(Link, {
+        "displayName": "Link"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { memo, forwardRef } from 'preact/compat';
+      import { createContext } from 'preact';
+      const Test = memo(() => <img/>);
+      const Test2 = forwardRef((props, ref) => <img ref={ref}/>);
+      const TestContext = createContext();
+      `,
+        { presets: ['preact/compat'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo, forwardRef } from 'preact/compat';
+      import { createContext } from 'preact';
+      const Test = memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = forwardRef((props, ref) => React.createElement("img", {
+        ref: ref
+      }));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });
+      const TestContext = createContext();
+      /*#__PURE__*/Object.assign(TestContext, {
+        "displayName": "TestContext"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { createComponent } from 'react-fela';
+      const Test = createComponent();
+      `,
+        { presets: ['react-fela'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { createComponent } from 'react-fela';
+      const Test = createComponent();
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+  });
+
+  it('should combine presets with allowed callees', () => {
+    expect(
+      transform(
+        `
+      import styled from 'styled-components';
+      import { createComponent } from 'custom-lib';
+      const Button = styled.button\`color: red;\`;
+      const Test = createComponent();
+      `,
+        { presets: ['styled-components'], allowedCallees: { 'custom-lib': ['createComponent'] } }
+      )
+    ).toMatchInlineSnapshot(`
+      "import styled from 'styled-components';
+      import { createComponent } from 'custom-lib';
+      const Button = styled.button\`color: red;\`;
+      /*#__PURE__*/Object.assign(Button, {
+        "displayName": "Button"
+      });
+      const Test = createComponent();
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import styled from 'styled-components';
+      const Button = styled.button\`color: red;\`;
+      `
+      )
+    ).toMatchInlineSnapshot(`
+      "import styled from 'styled-components';
+      const Button = styled.button\`color: red;\`;"
+    `);
+
+    expect(() => transform('', { presets: ['unknown'] })).toThrow(/Unknown preset "unknown"/);
+  });
+
+  it('should add display name to aliased, destructured and required callees', () => {
+    expect(
+      transform(`
+      import { memo as m, createContext as cc } from 'react';
+      const Test = m(() => <img/>);
+      const TestContext = cc();
+      `)
+    ).toMatchInlineSnapshot(`
+      "import { memo as m, createContext as cc } from 'react';
+      const Test = m(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const TestContext = cc();
+      /*#__PURE__*/Object.assign(TestContext, {
+        "displayName": "TestContext"
+      });"
+    `);
+
+    expect(
+      transform(`
+      import React from 'react';
+      const { memo, forwardRef: fr } = React;
+      const Test = memo(() => <img/>);
+      const Test2 = fr((props, ref) => <img ref={ref}/>);
+      `)
+    ).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const {
+        memo,
+        forwardRef: fr
+      } = React;
+      const Test = memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = fr((props, ref) => React.createElement("img", {
+        ref: ref
+      }));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+
+    expect(
+      transform(`
+      const React = require('react');
+      const { memo } = require('react');
+      const Test = React.memo(() => <img/>);
+      const Test2 = memo(() => <img/>);
+      const TestContext = React['createContext']();
+      `)
+    ).toMatchInlineSnapshot(`
+      "const React = require('react');
+      const {
+        memo
+      } = require('react');
+      const Test = React.memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });
+      const TestContext = React['createContext']();
+      /*#__PURE__*/Object.assign(TestContext, {
+        "displayName": "TestContext"
+      });"
+    `);
+  });
+
+  it('should not add display name to unresolved callees', () => {
+    expect(
+      transform(`
+      import { memo as m } from 'not-react';
+      const { memo } = notReact;
+      let React = require('react');
+      React = other;
+      const Test = m(() => <img/>);
+      const Test2 = memo(() => <img/>);
+      const Test3 = React.memo(() => <img/>);
+      const Test4 = require('react')[memo](() => <img/>);
+      `)
+    ).toMatchInlineSnapshot(`
+      "import { memo as m } from 'not-react';
+      const {
+        memo
+      } = notReact;
+      let React = require('react');
+      React = other;
+      const Test = m(() => React.createElement("img", null));
+      const Test2 = memo(() => React.createElement("img", null));
+      const Test3 = React.memo(() => React.createElement("img", null));
+      const Test4 = require('react')[memo](() => React.createElement("img", null));"
+    `);
+
+    expect(
+      transform(`
+      function require() {}
+      const React = require('react');
+      const Test = React.memo(() => <img/>);
+      `)
+    ).toMatchInlineSnapshot(`
+      "function require() {}
+      const React = require('react');
+      const Test = React.memo(() => React.createElement("img", null));"
+    `);
+  });
+
+  it('should add display name to components returning jsx from control flow', () => {
+    expect(
+      transform(`
+      const IfElse = (props) => {
+        if (props.a) {
+          return <img/>;
+        } else {
+          return null;
+        }
+      };
+      const EarlyReturn = (props) => {
+        if (!props.a) return null;
+        const b = props.a + 1;
+        return <img alt={b}/>;
+      };
+      const Switch = (props) => {
+        switch (props.a) {
+          case 'a':
+            return <img/>;
+          default:
+            return null;
+        }
+      };
+      const TryCatch = function () {
+        try {
+          return <img/>;
+        } catch (error) {
+          return null;
+        }
+      };
+      `)
+    ).toMatchInlineSnapshot(`
+      "const IfElse = props => {
+        if (props.a) {
+          return React.createElement("img", null);
+        } else {
+          return null;
+        }
+      };
+      /*#__PURE__*/Object.assign(IfElse, {
+        "displayName": "IfElse"
+      });
+      const EarlyReturn = props => {
+        if (!props.a) return null;
+        const b = props.a + 1;
+        return React.createElement("img", {
+          alt: b
+        });
+      };
+      /*#__PURE__*/Object.assign(EarlyReturn, {
+        "displayName": "EarlyReturn"
+      });
+      const Switch = props => {
+        switch (props.a) {
+          case 'a':
+            return React.createElement("img", null);
+          default:
+            return null;
+        }
+      };
+      /*#__PURE__*/Object.assign(Switch, {
+        "displayName": "Switch"
+      });
+      const TryCatch = function () {
+        try {
+          return React.createElement("img", null);
+        } catch (error) {
+          return null;
+        }
+      };
+      /*#__PURE__*/Object.assign(TryCatch, {
+        "displayName": "TryCatch"
+      });"
+    `);
+
+    expect(
+      transform(`
+      const NestedConditional = (props) => props.a ? null : props.b ? <img/> : null;
+      const NestedLogical = (props) => props.a && (props.b || <img/>);
+      const Nullish = (props) => props.children ?? <img/>;
+      const Sequence = (props) => (props.a, <img/>);
+      `)
+    ).toMatchInlineSnapshot(`
+      "const NestedConditional = props => props.a ? null : props.b ? React.createElement("img", null) : null;
+      /*#__PURE__*/Object.assign(NestedConditional, {
+        "displayName": "NestedConditional"
+      });
+      const NestedLogical = props => props.a && (props.b || React.createElement("img", null));
+      /*#__PURE__*/Object.assign(NestedLogical, {
+        "displayName": "NestedLogical"
+      });
+      const Nullish = props => props.children ?? React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Nullish, {
+        "displayName": "Nullish"
+      });
+      const Sequence = props => (props.a, React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Sequence, {
+        "displayName": "Sequence"
+      });"
+    `);
+  });
+
+  it('should not add display name to components returning jsx from nested functions', () => {
+    expect(
+      transform(`
+      const Test = (props) => {
+        const render = () => {
+          return <img/>;
+        };
+        function renderOther() {
+          if (props.a) return <img/>;
+        }
+        class Inner {
+          render() {
+            return <img/>;
+          }
+        }
+        return null;
+      };
+      `)
+    ).toMatchInlineSnapshot(`
+      "const Test = props => {
+        const render = () => {
+          return React.createElement("img", null);
+        };
+        /*#__PURE__*/Object.assign(render, {
+          "displayName": "render"
+        });
+        function renderOther() {
+          if (props.a) return React.createElement("img", null);
+        }
+        class Inner {
+          render() {
+            return React.createElement("img", null);
+          }
+        }
+        return null;
+      };"
+    `);
+  });
+
+  it('should add display name to components compiled with the automatic runtime', () => {
+    const code = `
+      import React from 'react';
+      const Test = () => <img/>;
+      const Test2 = React.memo((props) => <div>{props.children}<img/></div>);
+      `;
+    const compile = (code, options) =>
+      transformSync(code, { babelrc: false, configFile: false, ...options }).code;
+
+    // plugin running together with the preset
+    expect(
+      compile(code, {
+        plugins: [plugin],
+        presets: [['@babel/preset-react', { runtime: 'automatic' }]],
+      })
+    ).toMatchInlineSnapshot(`
+      "import React from 'react';
+      import { jsx as _jsx } from "react/jsx-runtime";
+      import { jsxs as _jsxs } from "react/jsx-runtime";
+      const Test = () => /*#__PURE__*/_jsx("img", {});
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = /*#__PURE__*/React.memo(props => /*#__PURE__*/_jsxs("div", {
+        children: [props.children, /*#__PURE__*/_jsx("img", {})]
+      }));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+
+    // plugin running after the preset
+    const compiled = compile(code, {
+      presets: [['@babel/preset-react', { runtime: 'automatic', development: true }]],
+    });
+    expect(compile(compiled, { plugins: [plugin] })).toMatchInlineSnapshot(`
+      "var _jsxFileName = "";
+      import React from 'react';
+      import { jsxDEV as _jsxDEV } from "react/jsx-dev-runtime";
+      const Test = () => /*#__PURE__*/_jsxDEV("img", {}, void 0, false, {
+        fileName: _jsxFileName,
+        lineNumber: 3,
+        columnNumber: 26
+      }, this);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = /*#__PURE__*/React.memo(props => /*#__PURE__*/_jsxDEV("div", {
+        children: [props.children, /*#__PURE__*/_jsxDEV("img", {}, void 0, false, {
+          fileName: _jsxFileName,
+          lineNumber: 4,
+          columnNumber: 64
+        }, this)]
+      }, void 0, true, {
+        fileName: _jsxFileName,
+        lineNumber: 4,
+        columnNumber: 43
+      }, this));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+
+    // plugin running after the preset and the commonjs transform
+    const compiledToCommonJS = compile(code, {
+      plugins: ['@babel/plugin-transform-modules-commonjs'],
+      presets: [['@babel/preset-react', { runtime: 'automatic' }]],
+    });
+    expect(compile(compiledToCommonJS, { plugins: [plugin] })).toMatchInlineSnapshot(`
+      ""use strict";
+
+      var _react = _interopRequireDefault(require("react"));
+      var _jsxRuntime = require("react/jsx-runtime");
+      function _interopRequireDefault(obj) {
+        return obj && obj.__esModule ? obj : {
+          default: obj
+        };
+      }
+      const Test = () => /*#__PURE__*/(0, _jsxRuntime.jsx)("img", {});
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = /*#__PURE__*/_react.default.memo(props => /*#__PURE__*/(0, _jsxRuntime.jsxs)("div", {
+        children: [props.children, /*#__PURE__*/(0, _jsxRuntime.jsx)("img", {})]
+      }));
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });"
+    `);
+  });
+
+  it('should add display name to components using custom jsx factories', () => {
+    expect(
+      transformSync(
+        `
+      import { h } from 'preact';
+      const Test = () => <img/>;
+      `,
+        {
+          babelrc: false,
+          configFile: false,
+          plugins: [[plugin, { jsxFactories: ['h'] }]],
+          presets: [['@babel/preset-react', { pragma: 'h', pragmaFrag: 'Fragment' }]],
+        }
+      ).code
+    ).toMatchInlineSnapshot(`
+      "import { h } from 'preact';
+      const Test = () => h("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { jsx as _jsx } from 'preact/jsx-runtime';
+      const Test = () => h('img');
+      const Test2 = () => _jsx('img', {});
+      const Test3 = () => React.createElement('img');
+      `,
+        { jsxFactories: ['h'], jsxRuntimeModules: ['preact/jsx-runtime'] }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { jsx as _jsx } from 'preact/jsx-runtime';
+      const Test = () => h('img');
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Test2 = () => _jsx('img', {});
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "Test2"
+      });
+      const Test3 = () => React.createElement('img');"
+    `);
+  });
+
+  it('should add display name to class components if enabled', () => {
+    const code = `
+      import React, { PureComponent } from 'react';
+      class Test extends React.Component {
+        render() {
+          return <img/>;
+        }
+      }
+      export class Test2 extends PureComponent {}
+      const Modal = class extends React.Component {};
+      foo.bar = class extends PureComponent {};
+      export default class Test3 extends React.PureComponent {}
+      `;
+
+    expect(transform(code, { classComponents: true, template: 'DS.%s' })).toMatchInlineSnapshot(`
+      "import React, { PureComponent } from 'react';
+      class Test extends React.Component {
+        render() {
+          return React.createElement("img", null);
+        }
+      }
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "DS.Test"
+      });
+      export class Test2 extends PureComponent {}
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "DS.Test2"
+      });
+      const Modal = class extends React.Component {};
+      /*#__PURE__*/Object.assign(Modal, {
+        "displayName": "DS.Modal"
+      });
+      foo.bar = class extends PureComponent {};
+      /*#__PURE__*/Object.assign(foo.bar, {
+        "displayName": "DS.foo.bar"
+      });
+      export default class Test3 extends React.PureComponent {}
+      /*#__PURE__*/Object.assign(Test3, {
+        "displayName": "DS.Test3"
+      });"
+    `);
+
+    expect(transform(code, { classComponents: 'static' })).toMatchInlineSnapshot(`
+      "import React, { PureComponent } from 'react';
+      class Test extends React.Component {
+        static displayName = "Test";
+        render() {
+          return React.createElement("img", null);
+        }
+      }
+      export class Test2 extends PureComponent {
+        static displayName = "Test2";
+      }
+      const Modal = class extends React.Component {
+        static displayName = "Modal";
+      };
+      foo.bar = class extends PureComponent {
+        static displayName = "foo.bar";
+      };
+      export default class Test3 extends React.PureComponent {
+        static displayName = "Test3";
+      }"
+    `);
+  });
+
+  it('should not add display name to other classes if class components are enabled', () => {
+    expect(
+      transform(
+        `
+      import React, { Component } from 'react';
+      import { Component as OtherComponent } from 'other';
+      class Test extends Component {
+        static displayName = 'Custom';
+      }
+      class Test2 extends Component {}
+      Test2.displayName = 'Custom';
+      class Test3 extends OtherComponent {}
+      class Test4 extends Error {}
+      class Test5 {}
+      export default class extends Component {}
+      `,
+        { classComponents: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import React, { Component } from 'react';
+      import { Component as OtherComponent } from 'other';
+      class Test extends Component {
+        static displayName = 'Custom';
+      }
+      class Test2 extends Component {}
+      Test2.displayName = 'Custom';
+      class Test3 extends OtherComponent {}
+      class Test4 extends Error {}
+      class Test5 {}
+      export default class extends Component {}"
+    `);
+  });
+
+  it('should name anonymous default exported class components after the file', () => {
+    expect(
+      transformWithFilename(
+        `
+      import { PureComponent } from 'react';
+      export default class extends PureComponent {}
+      `,
+        '/project/src/Modal.jsx',
+        { classComponents: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { PureComponent } from 'react';
+      export default class Modal extends PureComponent {}
+      /*#__PURE__*/Object.assign(Modal, {
+        "displayName": "Modal"
+      });"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      export default class extends Error {}
+      `,
+        '/project/src/Modal.jsx',
+        { classComponents: true }
+      )
+    ).toMatchInlineSnapshot(`"export default class extends Error {}"`);
+  });
+
+  it('should add display name to function declarations if enabled', () => {
+    expect(
+      transform(
+        `
+      Test();
+      function Test() {
+        return <img/>;
+      }
+      export function Test2() {
+        return <img/>;
+      }
+      export default function Test3() {
+        return <img/>;
+      }
+      function Test4() {
+        function Inner() {
+          return <img/>;
+        }
+        return Inner;
+      }
+      function notAComponent() {
+        return null;
+      }
+      function Test5() {
+        return <img/>;
+      }
+      Test5.displayName = 'Custom';
+      `,
+        { functionDeclarations: true, template: 'DS.%s' }
+      )
+    ).toMatchInlineSnapshot(`
+      "Test();
+      function Test() {
+        return React.createElement("img", null);
+      }
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "DS.Test"
+      });
+      export function Test2() {
+        return React.createElement("img", null);
+      }
+      /*#__PURE__*/Object.assign(Test2, {
+        "displayName": "DS.Test2"
+      });
+      export default function Test3() {
+        return React.createElement("img", null);
+      }
+      /*#__PURE__*/Object.assign(Test3, {
+        "displayName": "DS.Test3"
+      });
+      function Test4() {
+        function Inner() {
+          return React.createElement("img", null);
+        }
+        /*#__PURE__*/Object.assign(Inner, {
+          "displayName": "DS.Inner"
+        });
+        return Inner;
+      }
+      function notAComponent() {
+        return null;
+      }
+      function Test5() {
+        return React.createElement("img", null);
+      }
+      Test5.displayName = 'Custom';"
+    `);
+
+    expect(
+      transform(
+        `
+      export default function () {
+        return <img/>;
+      }
+      `,
+        { functionDeclarations: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "export default function () {
+        return React.createElement("img", null);
+      }"
+    `);
+  });
+
+  it('should name anonymous default exports after the file if enabled', () => {
+    expect(
+      transformWithFilename(
+        `
+      export default () => <img/>;
+      `,
+        '/project/src/payment-form.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "const PaymentForm = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(PaymentForm, {
+        "displayName": "PaymentForm"
+      });
+      export default PaymentForm;"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      export default function () {
+        return <img/>;
+      }
+      `,
+        '/project/src/Checkout/index.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "export default function Checkout() {
+        return React.createElement("img", null);
+      }
+      /*#__PURE__*/Object.assign(Checkout, {
+        "displayName": "Checkout"
+      });"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      import { memo } from 'react';
+      export default memo(() => <img/>);
+      `,
+        '/project/src/Button.jsx',
+        { defaultExports: true, template: 'DS.%s' }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      const Button = memo(() => React.createElement("img", null));
+      /*#__PURE__*/Object.assign(Button, {
+        "displayName": "DS.Button"
+      });
+      export default Button;"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      import { Component } from 'react';
+      export default class extends Component {}
+      `,
+        '/project/src/Modal.jsx',
+        { defaultExports: true, classComponents: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { Component } from 'react';
+      export default class Modal extends Component {}
+      /*#__PURE__*/Object.assign(Modal, {
+        "displayName": "Modal"
+      });"
+    `);
+  });
+
+  it('should not name other default exports after the file', () => {
+    expect(
+      transformWithFilename(
+        `
+      export default () => null;
+      `,
+        '/project/src/Button.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`"export default (() => null);"`);
+
+    expect(
+      transformWithFilename(
+        `
+      import Button from './Button.styles';
+      export default () => <Button/>;
+      `,
+        '/project/src/Button.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import Button from './Button.styles';
+      export default (() => React.createElement(Button, null));"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      export default () => {
+        const preload = () => new Image();
+        return <img onLoad={preload}/>;
+      };
+      `,
+        '/project/src/Image.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "export default (() => {
+        const preload = () => new Image();
+        return React.createElement("img", {
+          onLoad: preload
+        });
+      });"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      export default () => <img/>;
+      `,
+        '/project/src/404.jsx',
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`"export default (() => React.createElement("img", null));"`);
+
+    expect(
+      transform(
+        `
+      export default () => <img/>;
+      `,
+        { defaultExports: true }
+      )
+    ).toMatchInlineSnapshot(`"export default (() => React.createElement("img", null));"`);
+
+    expect(
+      transformWithFilename(
+        `
+      export default () => <img/>;
+      `,
+        '/project/src/Button.jsx'
+      )
+    ).toMatchInlineSnapshot(`"export default (() => React.createElement("img", null));"`);
+  });
+
+  it('should report components in the file metadata', () => {
+    expect(
+      getMetadata(`
+      import React, { createContext } from 'react';
+      const Test = () => <img/>;
+      const Components = {
+        test: function() { return <img/> }
+      };
+      const Foo = React.memo(
+        React.forwardRef(
+          (props, ref) => {
+            return React.createElement('div', {...props, ref})
+          }
+        )
+      );
+      const FeatureContext = createContext();
+      `)
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          "callee": null,
+          "kind": "plain",
+          "loc": {
+            "column": 19,
+            "line": 3,
+          },
+          "name": "Test",
+          "skipReason": null,
+        },
+        {
+          "callee": null,
+          "kind": "plain",
+          "loc": {
+            "column": 14,
+            "line": 5,
+          },
+          "name": "Components.test",
+          "skipReason": null,
+        },
+        {
+          "callee": "React.memo",
+          "kind": "wrapped",
+          "loc": {
+            "column": 18,
+            "line": 7,
+          },
+          "name": "Foo",
+          "skipReason": null,
+        },
+        {
+          "callee": "createContext",
+          "kind": "context",
+          "loc": {
+            "column": 29,
+            "line": 14,
+          },
+          "name": "FeatureContext",
+          "skipReason": null,
+        },
+      ]
+    `);
+
+    expect(
+      getMetadata(`
+      () => {
+        const Test = () => <img/>;
+      }
+      const Test = () => <img/>;
+      foo.bar = () => <img/>;
+      foo.bar.displayName = 'test';
+      `)
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          "callee": null,
+          "kind": "plain",
+          "loc": {
+            "column": 21,
+            "line": 3,
+          },
+          "name": "Test",
+          "skipReason": null,
+        },
+        {
+          "callee": null,
+          "kind": "plain",
+          "loc": {
+            "column": 19,
+            "line": 5,
+          },
+          "name": "Test",
+          "skipReason": "duplicate",
+        },
+        {
+          "callee": null,
+          "kind": "plain",
+          "loc": {
+            "column": 16,
+            "line": 6,
+          },
+          "name": "foo.bar",
+          "skipReason": "assigned",
+        },
+      ]
+    `);
+
+    expect(
+      getMetadata(
+        `
+      import React from 'react';
+      import styled from 'styled-components';
+      class Test extends React.Component {}
+      const Button = styled.button\`color: red;\`;
+      `,
+        { classComponents: true, presets: ['styled-components'], template: 'DS.%s' }
+      )
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          "callee": null,
+          "kind": "class",
+          "loc": {
+            "column": 6,
+            "line": 4,
+          },
+          "name": "DS.Test",
+          "skipReason": null,
+        },
+        {
+          "callee": "styled.button",
+          "kind": "wrapped",
+          "loc": {
+            "column": 21,
+            "line": 5,
+          },
+          "name": "DS.Button",
+          "skipReason": null,
+        },
+      ]
+    `);
+
+    expect(
+      getMetadata(`
+      const notAComponent = () => null;
+      `)
+    ).toEqual([]);
+
+    expect(getMetadata('const Test = () => <img/>;', { strip: true })).toEqual([]);
+
+    expect(
+      transformSync('const Test = () => <img/>;', {
+        babelrc: false,
+        configFile: false,
+        envName: 'production',
+        plugins: [[plugin, { omitEnvs: ['production'] }]],
+        presets: [['@babel/preset-react', { pure: false }]],
+      }).metadata.reactDisplayNames
+    ).toEqual([]);
+  });
+
+  it('should detect display name collisions across files if enabled', () => {
+    const code = `
+      const Row = () => <tr/>;
+      `;
+    const transformFiles = (collisions) => {
+      // options objects are reused so that both files go through the same plugin instance
+      const options = { collisions };
+      return [
+        transformWithFilename(code, '/project/src/table/index.jsx', options),
+        transformWithFilename(code, '/project/src/table/index.jsx', options),
+        transformWithFilename(code, '/project/src/grid/index.jsx', options),
+      ];
+    };
+
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    try {
+      expect(transformFiles('warn')).toMatchInlineSnapshot(`
+        [
+          "const Row = () => React.createElement("tr", null);
+        /*#__PURE__*/Object.assign(Row, {
+          "displayName": "Row"
+        });",
+          "const Row = () => React.createElement("tr", null);
+        /*#__PURE__*/Object.assign(Row, {
+          "displayName": "Row"
+        });",
+          "const Row = () => React.createElement("tr", null);
+        /*#__PURE__*/Object.assign(Row, {
+          "displayName": "Row"
+        });",
+        ]
+      `);
+      expect(warn.mock.calls).toMatchInlineSnapshot(`
+        [
+          [
+            "[@probablyup/babel-plugin-react-displayname] /project/src/grid/index.jsx: Display name "Row" is already used in /project/src/table/index.jsx",
+          ],
+        ]
+      `);
+    } finally {
+      warn.mockRestore();
+    }
+
+    expect(transformFiles('qualify')).toMatchInlineSnapshot(`
+      [
+        "const Row = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(Row, {
+        "displayName": "Row"
+      });",
+        "const Row = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(Row, {
+        "displayName": "Row"
+      });",
+        "const Row = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(Row, {
+        "displayName": "Row (src/grid/index)"
+      });",
+      ]
+    `);
+
+    expect(() => transformFiles('error')).toThrow(
+      'Display name "Row" is already used in /project/src/table/index.jsx'
+    );
+  });
+
+  it('should use the selected output form', () => {
+    const code = `
+      import React from 'react';
+      const Test = () => <img/>;
+      const Components = {
+        test: React.memo(() => <img/>)
+      };
+      `;
+
+    expect(transform(code, { output: 'Object.assign' })).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const Components = {
+        test: React.memo(() => React.createElement("img", null))
+      };
+      /*#__PURE__*/Object.assign(Components.test, {
+        "displayName": "Components.test"
+      });"
+    `);
+
+    expect(transform(code, { output: 'assignment' })).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      Test.displayName = "Test";
+      const Components = {
+        test: React.memo(() => React.createElement("img", null))
+      };
+      Components.test.displayName = "Components.test";"
+    `);
+
+    expect(transform(code, { output: 'Object.defineProperty' })).toMatchInlineSnapshot(`
+      "import React from 'react';
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.defineProperty(Test, "displayName", {
+        value: "Test",
+        writable: true,
+        configurable: true
+      });
+      const Components = {
+        test: React.memo(() => React.createElement("img", null))
+      };
+      /*#__PURE__*/Object.defineProperty(Components.test, "displayName", {
+        value: "Components.test",
+        writable: true,
+        configurable: true
+      });"
+    `);
+
+    expect(() => transform(code, { output: 'unknown' })).toThrow(/Unknown output "unknown"/);
+  });
+
+  it('should keep display names defined as properties writable', () => {
+    const code = transform(
+      `
+      'use strict';
+      const Test = () => <img/>;
+      `,
+      { output: 'Object.defineProperty' }
+    );
+    const Test = new Function('React', `${code}\nreturn Test;`)({ createElement() {} });
+
+    expect(Test.displayName).toBe('Test');
+    expect(Object.keys(Test)).not.toContain('displayName');
+    Test.displayName = 'Renamed';
+    expect(Test.displayName).toBe('Renamed');
+  });
+
+  it('should not duplicate display names set with the assignment output', () => {
+    const code = `
+      const Test = () => <img/>;
+      `;
+    const options = { output: 'assignment' };
+
+    expect(transform(transform(code, options), options)).toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      Test.displayName = "Test";"
+    `);
+  });
+
+  it('should only transform included files', () => {
+    const code = `
+      const Test = () => <img/>;
+      `;
+    const options = {
+      include: ['src/**'],
+      exclude: ['**/vendor/**', '**/*.test.jsx'],
+    };
+
+    expect(transformWithFilename(code, '/project/src/Test.jsx', options)).toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+
+    expect(
+      transformWithFilename(code, '/project/src/vendor/Test.jsx', options)
+    ).toMatchInlineSnapshot(`"const Test = () => React.createElement("img", null);"`);
+
+    expect(
+      transformWithFilename(code, '/project/src/Test.test.jsx', options)
+    ).toMatchInlineSnapshot(`"const Test = () => React.createElement("img", null);"`);
+
+    expect(transformWithFilename(code, '/project/lib/Test.jsx', options)).toMatchInlineSnapshot(
+      `"const Test = () => React.createElement("img", null);"`
+    );
+
+    expect(transform(code, options)).toMatchInlineSnapshot(
+      `"const Test = () => React.createElement("img", null);"`
+    );
+
+    expect(transform(code, { exclude: 'vendor/**' })).toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+  });
+
+  it('should only name included component names', () => {
+    const code = `
+      const Test = () => <img/>;
+      const renderRow = () => <tr/>;
+      const TestRow = () => <tr/>;
+      const Components = {
+        Row: () => <tr/>
+      };
+      `;
+
+    expect(transform(code, { excludeNames: '^render' })).toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });
+      const renderRow = () => React.createElement("tr", null);
+      const TestRow = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(TestRow, {
+        "displayName": "TestRow"
+      });
+      const Components = {
+        Row: () => React.createElement("tr", null)
+      };
+      /*#__PURE__*/Object.assign(Components.Row, {
+        "displayName": "Components.Row"
+      });"
+    `);
+
+    expect(transform(code, { includeNames: [/Row$/], excludeNames: [/^Components\./] }))
+      .toMatchInlineSnapshot(`
+      "const Test = () => React.createElement("img", null);
+      const renderRow = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(renderRow, {
+        "displayName": "renderRow"
+      });
+      const TestRow = () => React.createElement("tr", null);
+      /*#__PURE__*/Object.assign(TestRow, {
+        "displayName": "TestRow"
+      });
+      const Components = {
+        Row: () => React.createElement("tr", null)
+      };"
+    `);
+
+    expect(getMetadata(code, { excludeNames: '^render', template: 'DS.%s' })[1])
+      .toMatchInlineSnapshot(`
+      {
+        "callee": null,
+        "kind": "plain",
+        "loc": {
+          "column": 24,
+          "line": 3,
+        },
+        "name": "DS.renderRow",
+        "skipReason": "excluded",
+      }
+    `);
+  });
+
+  it('should follow comment directives', () => {
+    expect(
+      transform(
+        `
+      import React from 'react';
+      /* @displayName Checkout.Card */
+      const Card = () => <div/>;
+      // @no-displayname
+      const Skipped = React.memo(() => <img/>);
+      /**
+       * A button.
+       * @displayName Checkout.Button
+       */
+      export const Button = React.memo(() => <button/>);
+      const Components = {
+        /* @no-displayname */
+        Row: () => <tr/>,
+        Cell: () => <td/>,
+      };
+      const Test = () => <img/>;
+      `,
+        { template: 'DS.%s', excludeNames: 'Button' }
+      )
+    ).toMatchInlineSnapshot(`
+      "import React from 'react';
+      /* @displayName Checkout.Card */
+      const Card = () => React.createElement("div", null);
+      // @no-displayname
+      /*#__PURE__*/Object.assign(Card, {
+        "displayName": "Checkout.Card"
+      });
+      const Skipped = React.memo(() => React.createElement("img", null));
+      /**
+       * A button.
+       * @displayName Checkout.Button
+       */
+      export const Button = React.memo(() => React.createElement("button", null));
+      /*#__PURE__*/Object.assign(Button, {
+        "displayName": "Checkout.Button"
+      });
+      const Components = {
+        /* @no-displayname */
+        Row: () => React.createElement("tr", null),
+        Cell: () => React.createElement("td", null)
+      };
+      /*#__PURE__*/Object.assign(Components.Cell, {
+        "displayName": "DS.Components.Cell"
+      });
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "DS.Test"
+      });"
+    `);
+
+    expect(
+      transform(
+        `
+      import { createStore } from 'factories';
+      /* @displayName Checkout */
+      const Components = {
+        A: () => <a/>,
+        /* @displayName Checkout.B */
+        B: () => <b/>,
+      };
+      /* @displayName Store */
+      const { Provider, Consumer } = createStore();
+      /* @displayName Checkout.Link */
+      foo.link = () => <a/>;
+      `,
+        { allowedCallees: { factories: ['createStore'] } }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { createStore } from 'factories';
+      /* @displayName Checkout */
+      const Components = {
+        A: () => React.createElement("a", null),
+        /* @displayName Checkout.B */
+        B: () => React.createElement("b", null)
+      };
+      /* @displayName Store */
+      /*#__PURE__*/Object.assign(Components.B, {
+        "displayName": "Checkout.B"
+      });
+      /*#__PURE__*/Object.assign(Components.A, {
+        "displayName": "Components.A"
+      });
+      const {
+        Provider,
+        Consumer
+      } = createStore();
+      /* @displayName Checkout.Link */
+      /*#__PURE__*/Object.assign(Consumer, {
+        "displayName": "createStore.Consumer"
+      });
+      /*#__PURE__*/Object.assign(Provider, {
+        "displayName": "createStore.Provider"
+      });
+      foo.link = () => React.createElement("a", null);
+      /*#__PURE__*/Object.assign(foo.link, {
+        "displayName": "Checkout.Link"
+      });"
+    `);
+
+    expect(
+      getMetadata(`
+      import React from 'react';
+      // @no-displayname
+      const Skipped = React.memo(() => <img/>);
+      `)
+    ).toMatchInlineSnapshot(`
+      [
+        {
+          "callee": "React.memo",
+          "kind": "wrapped",
+          "loc": {
+            "column": 22,
+            "line": 4,
+          },
+          "name": "Skipped",
+          "skipReason": "directive",
+        },
+      ]
+    `);
+  });
+
+  it('should not transform files with a file directive', () => {
+    expect(
+      transform(`
+      /* @no-displayname-file */
+      const Test = () => <img/>;
+      `)
+    ).toMatchInlineSnapshot(`
+      "/* @no-displayname-file */
+      const Test = () => React.createElement("img", null);"
+    `);
+
+    expect(
+      transform(`
+      /* @no-displayname-files */
+      const Test = () => <img/>;
+      `)
+    ).toMatchInlineSnapshot(`
+      "/* @no-displayname-files */
+      const Test = () => React.createElement("img", null);
+      /*#__PURE__*/Object.assign(Test, {
+        "displayName": "Test"
+      });"
+    `);
+  });
+
+  describe('with TypeScript', () => {
+    it('should see through type assertions', () => {
+      expect(
+        transformTypeScript(`
+        import React, { memo } from 'react';
+        const List = (<T,>(props: Props<T>) => <ul/>) as typeof X;
+        const Memo = memo(Inner) as typeof Inner;
+        const Wrapped = memo(() => <div/>) as unknown as FC;
+        const Checked = (() => <div/>) satisfies FC;
+        const NonNull = (() => <div/>)!;
+        const Cast = () => <div/> as unknown as JSX.Element;
+        const Components = ({ Row: () => <tr/> }) as Record<string, FC>;
+        const Iife = ((() => <div/>) as any)();
+        `)
+      ).toMatchInlineSnapshot(`
+        "import React, { memo } from 'react';
+        const List = props => React.createElement("ul", null);
+        /*#__PURE__*/Object.assign(List, {
+          "displayName": "List"
+        });
+        const Memo = memo(Inner);
+        /*#__PURE__*/Object.assign(Memo, {
+          "displayName": "Memo"
+        });
+        const Wrapped = memo(() => React.createElement("div", null));
+        /*#__PURE__*/Object.assign(Wrapped, {
+          "displayName": "Wrapped"
+        });
+        const Checked = () => React.createElement("div", null);
+        /*#__PURE__*/Object.assign(Checked, {
+          "displayName": "Checked"
+        });
+        const NonNull = () => React.createElement("div", null);
+        /*#__PURE__*/Object.assign(NonNull, {
+          "displayName": "NonNull"
+        });
+        const Cast = () => React.createElement("div", null);
+        /*#__PURE__*/Object.assign(Cast, {
+          "displayName": "Cast"
+        });
+        const Components = {
+          Row: () => React.createElement("tr", null)
+        };
+        /*#__PURE__*/Object.assign(Components.Row, {
+          "displayName": "Components.Row"
+        });
+        const Iife = (() => React.createElement("div", null))();"
+      `);
+    });
+
+    it('should treat function component annotations as components', () => {
+      expect(
+        transformTypeScript(`
+        import React, { FunctionComponent } from 'react';
+        const Card: React.FC<Props> = (props) => renderCard(props);
+        const Empty: FunctionComponent = function () {
+          return null;
+        };
+        const render: Renderer = () => null;
+        `)
+      ).toMatchInlineSnapshot(`
+        "const Card = props => renderCard(props);
+        /*#__PURE__*/Object.assign(Card, {
+          "displayName": "Card"
+        });
+        const Empty = function () {
+          return null;
+        };
+        /*#__PURE__*/Object.assign(Empty, {
+          "displayName": "Empty"
+        });
+        const render = () => null;
+        export {};"
+      `);
+    });
+  });
+
+  it('should use exported names', () => {
+    expect(
+      transformWithFilename(
+        `
+      import { memo } from 'react';
+      const Inner = memo(() => <button/>);
+      const Card = () => <div/>;
+      const Both = () => <p/>;
+      export const Link = () => <a/>;
+      const Local = () => <span/>;
+      function Aside() {
+        return <aside/>;
+      }
+      export { Inner as Button, Both, Both as Alias, Link as Anchor, Aside as Sidebar };
+      export default Card;
+      `,
+        '/project/src/user-card.jsx',
+        { exportedNames: true, functionDeclarations: true, template: 'DS.%s' }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      const Inner = memo(() => React.createElement("button", null));
+      /*#__PURE__*/Object.assign(Inner, {
+        "displayName": "DS.Button"
+      });
+      const Card = () => React.createElement("div", null);
+      /*#__PURE__*/Object.assign(Card, {
+        "displayName": "DS.UserCard"
+      });
+      const Both = () => React.createElement("p", null);
+      /*#__PURE__*/Object.assign(Both, {
+        "displayName": "DS.Both"
+      });
+      export const Link = () => React.createElement("a", null);
+      /*#__PURE__*/Object.assign(Link, {
+        "displayName": "DS.Link"
+      });
+      const Local = () => React.createElement("span", null);
+      /*#__PURE__*/Object.assign(Local, {
+        "displayName": "DS.Local"
+      });
+      function Aside() {
+        return React.createElement("aside", null);
+      }
+      /*#__PURE__*/Object.assign(Aside, {
+        "displayName": "DS.Sidebar"
+      });
+      export { Inner as Button, Both, Both as Alias, Link as Anchor, Aside as Sidebar };
+      export default Card;"
+    `);
+
+    expect(
+      transformWithFilename(
+        `
+      const Inner = () => <div/>;
+      export { Inner as default };
+      `,
+        '/project/src/Checkout/index.jsx',
+        { exportedNames: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "const Inner = () => React.createElement("div", null);
+      /*#__PURE__*/Object.assign(Inner, {
+        "displayName": "Checkout"
+      });
+      export { Inner as default };"
+    `);
+
+    expect(
+      transform(
+        `
+      const Card = () => <div/>;
+      Card.Header = () => <h2/>;
+      const Components = { Row: () => <tr/> };
+      export { Card as Box, Components as Table };
+      `,
+        { exportedNames: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "const Card = () => React.createElement("div", null);
+      /*#__PURE__*/Object.assign(Card, {
+        "displayName": "Box"
+      });
+      Card.Header = () => React.createElement("h2", null);
+      /*#__PURE__*/Object.assign(Card.Header, {
+        "displayName": "Box.Header"
+      });
+      const Components = {
+        Row: () => React.createElement("tr", null)
+      };
+      /*#__PURE__*/Object.assign(Components.Row, {
+        "displayName": "Table.Row"
+      });
+      export { Card as Box, Components as Table };"
+    `);
+  });
+
+  it('should add display names to compound components', () => {
+    expect(
+      transform(`
+      import { memo } from 'react';
+      export const Card = Object.assign(CardRoot, {
+        Header: () => <h2/>,
+        Body: memo(() => <div/>),
+        Footer: Object.assign(() => <footer/>, {
+          Actions: () => <menu/>,
+        }),
+      });
+      const List = Object.assign(() => <ul/>, { Item: () => <li/> });
+      const Wrapped = memo(Object.assign(Root, { Item: () => <li/> }));
+      Tabs.Panel = () => <section/>;
+      `)
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      export const Card = Object.assign(CardRoot, {
+        Header: () => React.createElement("h2", null),
+        Body: memo(() => React.createElement("div", null)),
+        Footer: Object.assign(() => React.createElement("footer", null), {
+          Actions: () => React.createElement("menu", null)
+        })
+      });
+      /*#__PURE__*/Object.assign(Card.Footer.Actions, {
+        "displayName": "Card.Footer.Actions"
+      });
+      /*#__PURE__*/Object.assign(Card.Footer, {
+        "displayName": "Card.Footer"
+      });
+      /*#__PURE__*/Object.assign(Card.Body, {
+        "displayName": "Card.Body"
+      });
+      /*#__PURE__*/Object.assign(Card.Header, {
+        "displayName": "Card.Header"
+      });
+      const List = Object.assign(() => React.createElement("ul", null), {
+        Item: () => React.createElement("li", null)
+      });
+      /*#__PURE__*/Object.assign(List.Item, {
+        "displayName": "List.Item"
+      });
+      /*#__PURE__*/Object.assign(List, {
+        "displayName": "List"
+      });
+      const Wrapped = memo(Object.assign(Root, {
+        Item: () => React.createElement("li", null)
+      }));
+      /*#__PURE__*/Object.assign(Wrapped, {
+        "displayName": "Wrapped"
+      });
+      Tabs.Panel = () => React.createElement("section", null);
+      /*#__PURE__*/Object.assign(Tabs.Panel, {
+        "displayName": "Tabs.Panel"
+      });"
+    `);
+  });
+
+  it('should add display names to context members', () => {
+    expect(
+      transform(
+        `
+      import { createContext } from 'react';
+      const FeatureContext = createContext(null);
+      `,
+        { contextMembers: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { createContext } from 'react';
+      const FeatureContext = createContext(null);
+      /*#__PURE__*/Object.assign(FeatureContext, {
+        "displayName": "FeatureContext"
+      });
+      /*#__PURE__*/(function () {
+        if (FeatureContext.Provider !== FeatureContext && !Object.getOwnPropertyDescriptor(FeatureContext.Provider, "displayName")) {
+          /*#__PURE__*/Object.assign(FeatureContext.Provider, {
+            "displayName": "FeatureContext.Provider"
+          });
+        }
+        if (FeatureContext.Consumer !== FeatureContext && !Object.getOwnPropertyDescriptor(FeatureContext.Consumer, "displayName")) {
+          /*#__PURE__*/Object.assign(FeatureContext.Consumer, {
+            "displayName": "FeatureContext.Consumer"
+          });
+        }
+      })();"
+    `);
+
+    expect(
+      transform(
+        `
+      import { createContext } from 'react';
+      const FeatureContext = createContext(null);
+      `,
+        { contextMembers: true, output: 'assignment', guard: true }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { createContext } from 'react';
+      const FeatureContext = createContext(null);
+      if (process.env.NODE_ENV !== "production") {
+        FeatureContext.displayName = "FeatureContext";
+        /*#__PURE__*/(function () {
+          if (FeatureContext.Provider !== FeatureContext && !Object.getOwnPropertyDescriptor(FeatureContext.Provider, "displayName")) {
+            FeatureContext.Provider.displayName = "FeatureContext.Provider";
+          }
+          if (FeatureContext.Consumer !== FeatureContext && !Object.getOwnPropertyDescriptor(FeatureContext.Consumer, "displayName")) {
+            FeatureContext.Consumer.displayName = "FeatureContext.Consumer";
+          }
+        })();
+      }"
+    `);
+  });
+
+  it('should add display names to context members of React', () => {
+    const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    ['Object.assign', 'assignment', 'Object.defineProperty'].forEach((output) => {
+      const { code } = transformSync(
+        `
+        import { createContext } from 'react';
+        export const FeatureContext = createContext(null);
+        `,
+        {
+          babelrc: false,
+          configFile: false,
+          plugins: [
+            [plugin, { contextMembers: true, output }],
+            '@babel/plugin-transform-modules-commonjs',
+          ],
+        }
+      );
+      const exports = {};
+      new Function('require', 'exports', code)(require, exports);
+      const { FeatureContext } = exports;
+
+      expect(FeatureContext.displayName).toBe('FeatureContext');
+      expect(FeatureContext.Provider.displayName).toBe('FeatureContext.Provider');
+      // the development build of React 18 defines it as an accessor of the context
+      expect(FeatureContext.Consumer.displayName).toBe('FeatureContext');
+    });
+
+    expect(consoleError).not.toHaveBeenCalled();
+    consoleError.mockRestore();
+  });
+
+  it('should add display names to destructured factory results', () => {
+    expect(
+      transform(
+        `
+      import { memo } from 'react';
+      import { createContextFactory, createStore, createFeature as cf } from 'factories';
+      const [FeatureProvider, useFeature] = createContextFactory();
+      const { Provider: StoreProvider, Consumer = Fallback, useStore } = createStore();
+      const { Provider } = cf();
+      const { Other } = notAllowed();
+      const { Memo } = memo(() => <a/>);
+      `,
+        {
+          allowedCallees: { factories: ['createContextFactory', 'createStore', 'createFeature'] },
+        }
+      )
+    ).toMatchInlineSnapshot(`
+      "import { memo } from 'react';
+      import { createContextFactory, createStore, createFeature as cf } from 'factories';
+      const [FeatureProvider, useFeature] = createContextFactory();
+      /*#__PURE__*/Object.assign(FeatureProvider, {
+        "displayName": "createContextFactory.FeatureProvider"
+      });
+      const {
+        Provider: StoreProvider,
+        Consumer = Fallback,
+        useStore
+      } = createStore();
+      /*#__PURE__*/Object.assign(Consumer, {
+        "displayName": "createStore.Consumer"
+      });
+      /*#__PURE__*/Object.assign(StoreProvider, {
+        "displayName": "createStore.StoreProvider"
+      });
+      const {
+        Provider
+      } = cf();
+      /*#__PURE__*/Object.assign(Provider, {
+        "displayName": "createFeature.Provider"
+      });
+      const {
+        Other
+      } = notAllowed();
+      const {
+        Memo
+      } = memo(() => React.createElement("a", null));"
+    `);
+  });
+
+  it('should apply wrapper formats', () => {
+    expect(
+      transform(
+        `
+      import React, { memo } from 'react';
+      import { observer } from 'mobx-react';
+      const Foo = React.memo(
+        React.forwardRef((props, ref) => {
+          return React.createElement('div', { ...props, ref });
+        })
+      );
+      const Bar = observer(function () {
+        return <div/>;
+      });
+      const Baz = memo(Inner);
+      const Plain = () => <p/>;
+      /* @displayName Custom */
+      const Overridden = memo(() => <p/>);
+      `,
+        {
+          presets: ['mobx-react'],
+          wrapperFormat: {
+            memo: 'Memo(%s)',
+            forwardRef: 'ForwardRef(%s)',
+            observer: 'Observer(%s)',
+          },
+        }
+      )
+    ).toMatchInlineSnapshot(`
+      "import React, { memo } from 'react';
+      import { observer } from 'mobx-react';
+      const Foo = React.memo(React.forwardRef(function _Foo(props, ref) {
+        return React.createElement('div', {
+          ...props,
+          ref
+        });
+      }));
+      /*#__PURE__*/Object.assign(Foo, {
+        "displayName": "Memo(ForwardRef(Foo))"
+      });
+      const Bar = observer(function _Bar() {
+        return React.createElement("div", null);
+      });
+      /*#__PURE__*/Object.assign(Bar, {
+        "displayName": "Observer(Bar)"
+      });
+      const Baz = memo(Inner);
+      /*#__PURE__*/Object.assign(Baz, {
+        "displayName": "Memo(Baz)"
+      });
+      const Plain = () => React.createElement("p", null);
+      /* @displayName Custom */
+      /*#__PURE__*/Object.assign(Plain, {
+        "displayName": "Plain"
+      });
+      const Overridden = memo(function _Custom() {
+        return React.createElement("p", null);
+      });
+      /*#__PURE__*/Object.assign(Overridden, {
+        "displayName": "Custom"
+      });"
+    `);
+  });
+
+  it('should add data attributes to returned host elements', () => {
+    const code = `
+      import React, { memo } from 'react';
+      const Card = () => <div className="card" data-component="Custom"/>;
+      const List = memo(({ items, ...props }) =>
+        items.length ? <ul {...props}><li/></ul> : <Empty/>
+      );
+      const Group = () => <><span/><Child/></>;
+      class Page extends React.Component {
+        render() {
+          return <main/>;
+        }
+      }
+      `;
+
+    expect(
+      transform(code, {
+        dataAttribute: true,
+        classComponents: true,
+        template: 'DS.%s',
+        wrapperFormat: { memo: 'Memo(%s)' },
+      })
+    ).toMatchInlineSnapshot(`
+      "function _extends() { _extends = Object.assign ? Object.assign.bind() : function (target) { for (var i = 1; i < arguments.length; i++) { var source = arguments[i]; for (var key in source) { if (Object.prototype.hasOwnProperty.call(source, key)) { target[key] = source[key]; } } } return target; }; return _extends.apply(this, arguments); }
+      import React, { memo } from 'react';
+      const Card = () => React.createElement("div", {
+        className: "card",
+        "data-component": "Custom"
+      });
+      /*#__PURE__*/Object.assign(Card, {
+        "displayName": "DS.Card"
+      });
+      const List = memo(function _DSList({
+        items,
+        ...props
+      }) {
+        return items.length ? React.createElement("ul", _extends({
+          "data-component": "DS.List"
+        }, props), React.createElement("li", null)) : React.createElement(Empty, null);
+      });
+      /*#__PURE__*/Object.assign(List, {
+        "displayName": "Memo(DS.List)"
+      });
+      const Group = () => React.createElement(React.Fragment, null, React.createElement("span", null), React.createElement(Child, null));
+      /*#__PURE__*/Object.assign(Group, {
+        "displayName": "DS.Group"
+      });
+      class Page extends React.Component {
+        render() {
+          return React.createElement("main", {
+            "data-component": "DS.Page"
+          });
+        }
+      }
+      /*#__PURE__*/Object.assign(Page, {
+        "displayName": "DS.Page"
+      });"
+    `);
+
+    expect(transform(code, { dataAttribute: 'data-testid', dataAttributeFragments: 'descend' }))
+      .toMatchInlineSnapshot(`
+      "function _extends() { _extends = Object.assign ? Object.assign.bind() : function (target) { for (var i = 1; i < arguments.length; i++) { var source = arguments[i]; for (var key in source) { if (Object.prototype.hasOwnProperty.call(source, key)) { target[key] = source[key]; } } } return target; }; return _extends.apply(this, arguments); }
+      import React, { memo } from 'react';
+      const Card = () => React.createElement("div", {
+        "data-testid": "Card",
+        className: "card",
+        "data-component": "Custom"
+      });
+      /*#__PURE__*/Object.assign(Card, {
+        "displayName": "Card"
+      });
+      const List = memo(({
+        items,
+        ...props
+      }) => items.length ? React.createElement("ul", _extends({
+        "data-testid": "List"
+      }, props), React.createElement("li", null)) : React.createElement(Empty, null));
+      /*#__PURE__*/Object.assign(List, {
+        "displayName": "List"
+      });
+      const Group = () => React.createElement(React.Fragment, null, React.createElement("span", {
+        "data-testid": "Group"
+      }), React.createElement(Child, null));
+      /*#__PURE__*/Object.assign(Group, {
+        "displayName": "Group"
+      });
+      class Page extends React.Component {
+        render() {
+          return React.createElement("main", null);
+        }
+      }"
+    `);
+
+    expect(() => transform(code, { dataAttributeFragments: 'unknown' })).toThrow(
+      /Unknown dataAttributeFragments "unknown"/
+    );
+  });
+
+  it('should map generated code to the component in source maps', () => {
+    const { code, map } = transformWithSourceMap(
+      `import React from 'react';
+
+const Foo = React.memo(() => <img/>);
+
+class Bar extends React.Component {
+  render() {
+    return <div/>;
+  }
+}
+
+function helper() {}
+`,
+      {
+        guard: true,
+        wrapperFormat: { memo: 'Memo(%s)' },
+        classComponents: true,
+        dataAttribute: true,
+      }
+    );
+    const traceMap = new TraceMap(map);
+    const lines = code.split('\n');
+    const getOriginalLine = (text, occurrence = 0) => {
+      const line = lines.reduce(
+        (indexes, content, index) => (content.includes(text) ? [...indexes, index] : indexes),
+        []
+      )[occurrence];
+      return originalPositionFor(traceMap, { line: line + 1, column: lines[line].indexOf(text) })
+        .line;
+    };
+
+    expect(getOriginalLine('if (process.env.NODE_ENV')).toBe(3);
+    expect(getOriginalLine('Object.assign(Foo')).toBe(3);
+    expect(getOriginalLine('"displayName": "Memo(Foo)"')).toBe(3);
+    expect(getOriginalLine('if (process.env.NODE_ENV', 1)).toBe(5);
+    expect(getOriginalLine('Object.assign(Bar')).toBe(5);
+    expect(getOriginalLine('"data-component": "Bar"')).toBe(7);
+
+    // functions are only named without the guard
+    const unguarded = transformWithSourceMap(
+      `import React from 'react';
+
+const Foo = React.memo(() => <img/>);
+`,
+      { wrapperFormat: { memo: 'Memo(%s)' } }
+    );
+    const unguardedLines = unguarded.code.split('\n');
+    const line = unguardedLines.findIndex((content) => content.includes('_Foo'));
+    expect(
+      originalPositionFor(new TraceMap(unguarded.map), {
+        line: line + 1,
+        column: unguardedLines[line].indexOf('_Foo'),
+      }).line
+    ).toBe(3);
+  });
 });